@@ -0,0 +1,205 @@
+/**
+ * Rate limits and token budgets (LIMITS_FILE). Each rule applies to the
+ * requests matching its `client` and `model` (name or glob; `*` counts every
+ * client / model separately, an absent field pools them). Requests are checked
+ * just before the upstream call: cache hits and replays are free. Daily tokens
+ * come from `usageMetadata` and are reloaded from today's log at startup, so a
+ * restart does not reset budgets.
+ *
+ * createApp builds one per app from `app.locals.config` and keeps it as
+ * `app.locals.limits`.
+ */
+
+const fs = require('fs');
+const { modelFromRoute, globToRegExp } = require('./routing');
+
+const LIMIT_FIELDS = ['requestsPerMinute', 'tokensPerDay', 'maxBodyBytes', 'maxContextTokens'];
+const ANONYMOUS_CLIENT = 'anonymous';
+
+function utcDay(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+// Rough prompt size: about 4 characters per token over text, function calls and responses (inline data skipped)
+function estimateContextTokens(body) {
+  let chars = 0;
+  const walk = (v, key) => {
+    if (key === 'inlineData' || key === 'fileData') return;
+    if (typeof v === 'string') chars += v.length;
+    else if (Array.isArray(v)) v.forEach((x) => walk(x));
+    else if (v && typeof v === 'object') for (const [k, x] of Object.entries(v)) walk(x, k);
+  };
+  if (body && typeof body === 'object') {
+    walk(body.contents);
+    walk(body.systemInstruction);
+    walk(body.tools);
+  }
+  return Math.ceil(chars / 4);
+}
+
+function rateLimitError(counter, message, retryAfterSec) {
+  const who = [counter.client, counter.model].filter(Boolean).join(' / ');
+  const err = new Error(`${message} (limit "${counter.rule.name}"${who ? ` for ${who}` : ''})`);
+  err.status = 429;
+  err.code = 'RATE_LIMITED';
+  err.headers = retryAfterSec ? { 'Retry-After': String(retryAfterSec) } : {};
+  err.body = {
+    error: {
+      code: 429,
+      message: err.message,
+      status: 'RESOURCE_EXHAUSTED',
+      ...(retryAfterSec ? { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: `${retryAfterSec}s` }] } : {}),
+    },
+  };
+  return err;
+}
+
+// The rules and counters of one app; helpers: the log reader and the usage tokens of /stats
+function createLimits(app, { readLogBackward, usageTokens }) {
+  const { config: { LIMITS_FILE }, logger } = app.locals;
+
+  function loadLimitRules(file) {
+    if (!fs.existsSync(file)) return [];
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      logger.error(`[limits] Failed to load ${file}, no limits enforced:`, err.message);
+      return [];
+    }
+    const rules = [];
+    (Array.isArray(config) ? config : config.limits || []).forEach((r, i) => {
+      const limits = {};
+      for (const f of LIMIT_FIELDS) if (r && Number(r[f]) > 0) limits[f] = Number(r[f]);
+      if (!Object.keys(limits).length) {
+        logger.error(`[limits] Ignoring rule #${i + 1}: sets none of ${LIMIT_FIELDS.join(', ')}`);
+        return;
+      }
+      rules.push({
+        name: r.name || `rule#${i + 1}`,
+        client: r.client ? String(r.client) : null,
+        clientRe: r.client ? globToRegExp(r.client) : null,
+        model: r.model ? String(r.model) : null,
+        modelRe: r.model ? globToRegExp(r.model) : null,
+        ...limits,
+      });
+    });
+    logger.log(`[limits] Loaded ${rules.length} limit rule(s) from ${file}`);
+    return rules;
+  }
+
+  const LIMIT_RULES = loadLimitRules(LIMITS_FILE);
+  // counter key -> { rule, client, model, requests: [timestamps], day, tokens }
+  const limitCounters = new Map();
+
+  // Counters of the rules matching a request; client / model only part of the key when the rule names them
+  function matchingLimitCounters(client, model) {
+    const out = [];
+    for (const rule of LIMIT_RULES) {
+      if (rule.clientRe && !rule.clientRe.test(client)) continue;
+      if (rule.modelRe && !(model && rule.modelRe.test(model))) continue;
+      const scope = { client: rule.client ? client : null, model: rule.model ? model : null };
+      const key = `${rule.name}\u0000${scope.client || ''}\u0000${scope.model || ''}`;
+      let counter = limitCounters.get(key);
+      if (!counter) {
+        counter = { rule, ...scope, requests: [], day: utcDay(), tokens: 0 };
+        limitCounters.set(key, counter);
+      }
+      if (counter.day !== utcDay()) Object.assign(counter, { day: utcDay(), tokens: 0 });
+      out.push(counter);
+    }
+    return out;
+  }
+
+  // Throws a 429 error when any matching rule is exceeded; otherwise counts the request
+  function enforceLimits(client, model, { bodyBytes, body }) {
+    const counters = matchingLimitCounters(client || ANONYMOUS_CLIENT, model);
+    if (!counters.length) return;
+    const now = Date.now();
+    for (const c of counters) {
+      const { rule } = c;
+      if (rule.maxBodyBytes && bodyBytes > rule.maxBodyBytes) {
+        throw rateLimitError(c, `Request body is ${bodyBytes} bytes, over the ${rule.maxBodyBytes} byte limit`);
+      }
+      if (rule.maxContextTokens) {
+        const estimated = estimateContextTokens(body);
+        if (estimated > rule.maxContextTokens) {
+          throw rateLimitError(c, `Request context is about ${estimated} tokens, over the ${rule.maxContextTokens} token limit`);
+        }
+      }
+      if (rule.tokensPerDay && c.tokens >= rule.tokensPerDay) {
+        const midnight = new Date(`${c.day}T00:00:00Z`).getTime() + 24 * 3600 * 1000;
+        throw rateLimitError(c, `Daily token budget of ${rule.tokensPerDay} exhausted (${c.tokens} used)`, Math.ceil((midnight - now) / 1000));
+      }
+      if (rule.requestsPerMinute) {
+        c.requests = c.requests.filter((t) => now - t < 60 * 1000);
+        if (c.requests.length >= rule.requestsPerMinute) {
+          throw rateLimitError(c, `More than ${rule.requestsPerMinute} requests per minute`, Math.max(1, Math.ceil((c.requests[0] + 60 * 1000 - now) / 1000)));
+        }
+      }
+    }
+    for (const c of counters) if (c.rule.requestsPerMinute) c.requests.push(now);
+  }
+
+  // Charges a response entry's usage to today's budgets (cache hits and replays never reached the upstream)
+  function chargeTokens(entry) {
+    if (!LIMIT_RULES.length || !entry || entry.type !== 'response' || !entry.usage) return;
+    if (entry.cache === 'HIT' || entry.cassette_id || utcDay(Date.parse(entry.ts)) !== utcDay()) return;
+    const tokens = usageTokens(entry.usage).totalTokens;
+    if (!tokens) return;
+    const model = entry.model || modelFromRoute(entry.route);
+    for (const c of matchingLimitCounters(entry.client || ANONYMOUS_CLIENT, model)) {
+      if (c.rule.tokensPerDay) c.tokens += tokens;
+    }
+  }
+
+  async function initLimits() {
+    if (!LIMIT_RULES.length) return;
+    const today = utcDay();
+    let charged = 0;
+    for await (const entry of readLogBackward()) {
+      if (entry.type === 'parse_error') continue;
+      if (String(entry.ts || '').slice(0, 10) < today) break;
+      if (entry.type === 'response' && entry.usage) {
+        chargeTokens(entry);
+        charged += 1;
+      }
+    }
+    logger.log(`[limits] Charged ${charged} response(s) from today's log to the token budgets`);
+  }
+
+  initLimits().catch((err) => logger.error('[limits] Failed to read today\'s usage from the log:', err.message));
+
+  // GET /limits view: every rule, and the counters seen so far
+  function describeLimits() {
+    const now = Date.now();
+    const rules = LIMIT_RULES.map(({ clientRe, modelRe, client, model, ...rule }) => ({
+      name: rule.name,
+      ...(client ? { client } : {}),
+      ...(model ? { model } : {}),
+      ...rule,
+    }));
+    const counters = [];
+    for (const c of limitCounters.values()) {
+      // Size caps keep no state
+      if (!c.rule.requestsPerMinute && !c.rule.tokensPerDay) continue;
+      if (c.day !== utcDay()) Object.assign(c, { day: utcDay(), tokens: 0 });
+      c.requests = c.requests.filter((t) => now - t < 60 * 1000);
+      counters.push({
+        rule: c.rule.name,
+        ...(c.client ? { client: c.client } : {}),
+        ...(c.model ? { model: c.model } : {}),
+        ...(c.rule.requestsPerMinute ? { requestsLastMinute: c.requests.length, requestsPerMinute: c.rule.requestsPerMinute } : {}),
+        ...(c.rule.tokensPerDay ? { day: c.day, tokensToday: c.tokens, tokensPerDay: c.rule.tokensPerDay } : {}),
+      });
+    }
+    return { rules, counters };
+  }
+
+  return { enforceLimits, chargeTokens, describeLimits };
+}
+
+module.exports = {
+  estimateContextTokens,
+  createLimits,
+};
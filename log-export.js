@@ -0,0 +1,312 @@
+/**
+ * Log export: turns the proxy's NDJSON log into other formats.
+ *
+ * Shared by the /logs/export endpoint (server.js) and the CLI (scripts/export-logs.js).
+ * - HAR 1.2, for browser devtools and HTTP tools
+ * - OTLP JSON traces following the OpenTelemetry GenAI semantic conventions
+ * - JSONL prompt/completion dataset for evals and fine-tuning
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+
+// requests-<start>.ndjson, with -<n> when earlier segments started in the same millisecond
+const SEGMENT_RE = /^requests-(\d{8}T\d{9}Z)(?:-(\d+))?\.ndjson(\.gz)?$/;
+const EXPORT_FORMATS = ['har', 'otel', 'jsonl'];
+const CREATOR = { name: 'llm-logging-proxy', version: require('./package.json').version };
+
+// Oldest first: by start time, then by sequence number
+function compareSegmentNames(a, b) {
+  const ma = SEGMENT_RE.exec(a);
+  const mb = SEGMENT_RE.exec(b);
+  if (!ma || !mb) return a < b ? -1 : a > b ? 1 : 0;
+  return ma[1].localeCompare(mb[1]) || Number(ma[2] || 0) - Number(mb[2] || 0);
+}
+
+// Rotated segments oldest first (a .gz is skipped while its plain twin still exists), live file last
+function orderSegmentNames(names, liveName) {
+  const plain = new Set(names.filter((n) => SEGMENT_RE.test(n) && !n.endsWith('.gz')));
+  const segments = names
+    .filter((n) => SEGMENT_RE.test(n))
+    .filter((n) => !(n.endsWith('.gz') && plain.has(n.slice(0, -3))));
+  segments.sort(compareSegmentNames);
+  return [...segments, liveName];
+}
+
+// Every entry of a log directory, oldest first (used by the CLI, which runs without the server)
+async function readLogDir(logDir, fn) {
+  let names = [];
+  try {
+    names = fs.readdirSync(logDir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  for (const segment of orderSegmentNames(names, 'requests.ndjson')) {
+    const file = path.join(logDir, segment);
+    if (!fs.existsSync(file)) continue;
+    const source = fs.createReadStream(file);
+    const input = segment.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try { fn(JSON.parse(line)); } catch (_) {}
+    }
+  }
+}
+
+// Collects request/response pairs matching the filters; returns a function to feed entries (oldest
+// first) and one to finish. Entries are filtered as they come, so only the exported exchanges are kept.
+function exchangeCollector({ from, to, conversationId, session } = {}) {
+  const byId = new Map();
+  // Ids of filtered-out requests whose response has not been seen yet
+  const skipped = new Set();
+  const keep = (ref, request) => {
+    if (from && ref.ts < from) return false;
+    if (to && ref.ts > to) return false;
+    if (conversationId && ref.conversationId !== conversationId) return false;
+    if (session && (!request || request.session !== session)) return false;
+    return true;
+  };
+  const add = (entry) => {
+    if (!entry || !entry.id || (entry.type !== 'request' && entry.type !== 'response')) return;
+    const exchange = byId.get(entry.id);
+    if (exchange) {
+      if (!exchange[entry.type]) exchange[entry.type] = entry;
+      return;
+    }
+    if (entry.type === 'response' && skipped.delete(entry.id)) return;
+    // A response without its request (rotated away) is judged on its own fields
+    const request = entry.type === 'request' ? entry : null;
+    if (keep(entry, request)) byId.set(entry.id, { id: entry.id, [entry.type]: entry });
+    else if (request) skipped.add(entry.id);
+  };
+  const finish = () => Array.from(byId.values())
+    .sort((a, b) => String((a.request || a.response).ts).localeCompare(String((b.request || b.response).ts)));
+  return { add, finish };
+}
+
+// Throws the 400 exportExchanges would, so a bad format is refused before the log is read
+function checkExportFormat(format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`), { status: 400 });
+  }
+}
+
+function bodyText(body) {
+  if (body === undefined || body === null) return '';
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function responseMimeType(exchange) {
+  const route = String((exchange.request || exchange.response).route || '');
+  return /[?&]alt=sse\b/.test(route) ? 'text/event-stream' : 'application/json';
+}
+
+// ---------------------------------------------------------------------------
+// HAR 1.2. Headers are not logged by the proxy, so only content types appear.
+// ---------------------------------------------------------------------------
+function toHar(exchanges) {
+  const entries = exchanges.filter((x) => x.request).map((x) => {
+    const req = x.request;
+    const res = x.response;
+    const url = req.target || req.route;
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(url, 'http://localhost').searchParams, ([name, value]) => ({ name, value }));
+    } catch (_) {}
+    const reqText = req.body && !req.body.streamed ? bodyText(req.body) : '';
+    const resText = res ? bodyText(res.body !== undefined ? res.body : res.content) : '';
+    const wait = res ? (res.duration_ms ?? Math.max(0, Date.parse(res.ts) - Date.parse(req.ts))) : 0;
+    return {
+      startedDateTime: req.ts,
+      time: wait,
+      request: {
+        method: req.method || 'POST',
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: reqText ? [{ name: 'content-type', value: 'application/json' }] : [],
+        queryString,
+        cookies: [],
+        headersSize: -1,
+        bodySize: reqText ? Buffer.byteLength(reqText) : 0,
+        ...(reqText ? { postData: { mimeType: 'application/json', text: reqText } } : {}),
+      },
+      response: {
+        status: res ? res.status : 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        headers: res ? [{ name: 'content-type', value: responseMimeType(x) }] : [],
+        cookies: [],
+        content: { size: Buffer.byteLength(resText), mimeType: responseMimeType(x), text: resText },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings: { send: 0, wait, receive: 0 },
+      _id: x.id,
+      ...(req.conversationId ? { _conversationId: req.conversationId, _turn: req.turn } : {}),
+    };
+  });
+  return { log: { version: '1.2', creator: CREATOR, entries } };
+}
+
+// ---------------------------------------------------------------------------
+// OTLP JSON (ExportTraceServiceRequest). One CLIENT span per exchange named
+// "<operation> <model>"; turns of a conversation share a trace id.
+// ---------------------------------------------------------------------------
+function hexId(seed, bytes) {
+  return crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, bytes * 2);
+}
+
+function otelValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(otelValue) } };
+  return { stringValue: String(value) };
+}
+
+function otelAttributes(obj) {
+  return Object.entries(obj)
+    .filter(([, v]) => v !== undefined && v !== null && !(Array.isArray(v) && !v.length))
+    .map(([key, v]) => ({ key, value: otelValue(v) }));
+}
+
+function genAiOperation(route) {
+  const r = String(route || '').toLowerCase();
+  if (r.includes('embedcontent')) return 'embeddings';
+  if (r.includes('generatecontent') || r.includes('chat/completions')) return 'chat';
+  return null;
+}
+
+function parseArguments(args) {
+  try { return JSON.parse(args); } catch (_) { return args; }
+}
+
+const toNanos = (ts) => String(BigInt(Date.parse(ts) || 0) * 1000000n);
+
+function toOtlp(exchanges, { serviceName = 'llm-logging-proxy' } = {}) {
+  const spans = exchanges.filter((x) => x.request).map((x) => {
+    const req = x.request;
+    const res = x.response;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const config = body.generationConfig || {};
+    const usage = (res && res.usage) || {};
+    const operation = genAiOperation(req.route);
+    const model = req.model || (res && res.model);
+    let server = {};
+    try {
+      const u = new URL(req.target);
+      server = { 'server.address': u.hostname, 'server.port': Number(u.port) || (u.protocol === 'https:' ? 443 : 80) };
+    } catch (_) {}
+    const failed = !res || res.status >= 400;
+    const end = res ? (res.duration_ms !== undefined ? Date.parse(req.ts) + res.duration_ms : Date.parse(res.ts)) : Date.parse(req.ts);
+    const output = res && operation === 'chat'
+      ? [{ role: 'model', parts: [...(res.content ? [{ text: res.content }] : []), ...(res.tool_calls || []).map((c) => ({ functionCall: { name: c.name, args: parseArguments(c.arguments) } }))] }]
+      : undefined;
+    return {
+      traceId: hexId(req.conversationId || x.id, 16),
+      spanId: hexId(x.id, 8),
+      name: operation ? `${operation} ${model || ''}`.trim() : `${req.method || 'POST'} ${String(req.route || '').split('?')[0]}`,
+      kind: 3,
+      startTimeUnixNano: toNanos(req.ts),
+      endTimeUnixNano: String(BigInt(end || 0) * 1000000n),
+      attributes: otelAttributes({
+        'gen_ai.operation.name': operation || undefined,
+        'gen_ai.provider.name': 'gcp.gemini',
+        'gen_ai.request.model': model,
+        'gen_ai.request.temperature': config.temperature,
+        'gen_ai.request.top_p': config.topP,
+        'gen_ai.request.top_k': config.topK,
+        'gen_ai.request.max_tokens': config.maxOutputTokens,
+        'gen_ai.request.stop_sequences': config.stopSequences,
+        'gen_ai.request.seed': config.seed,
+        'gen_ai.response.model': res && res.model_version,
+        'gen_ai.response.finish_reasons': res && res.finish_reason ? [res.finish_reason] : undefined,
+        'gen_ai.usage.input_tokens': usage.promptTokenCount,
+        'gen_ai.usage.output_tokens': usage.candidatesTokenCount !== undefined ? usage.candidatesTokenCount + (usage.thoughtsTokenCount || 0) : undefined,
+        'gen_ai.conversation.id': req.conversationId,
+        'gen_ai.system_instructions': body.systemInstruction ? JSON.stringify(body.systemInstruction.parts || body.systemInstruction) : undefined,
+        'gen_ai.input.messages': Array.isArray(body.contents) ? JSON.stringify(body.contents) : undefined,
+        'gen_ai.output.messages': output ? JSON.stringify(output) : undefined,
+        'http.request.method': req.method || 'POST',
+        'http.response.status_code': res ? res.status : undefined,
+        'error.type': failed ? (res ? String(res.status) : 'no_response') : undefined,
+        ...server,
+        'proxy.log.id': x.id,
+      }),
+      status: failed ? { code: 2, message: res ? `HTTP ${res.status}` : 'no response logged' } : { code: 1 },
+    };
+  });
+  return {
+    resourceSpans: [{
+      resource: { attributes: otelAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{ scope: { name: CREATOR.name, version: CREATOR.version }, spans }],
+    }],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// JSONL dataset: one line per successful generateContent exchange, with the
+// prompt as sent (system instruction, contents, tools) and the completion.
+// ---------------------------------------------------------------------------
+function toDatasetLines(exchanges) {
+  const lines = [];
+  for (const x of exchanges) {
+    const req = x.request;
+    const res = x.response;
+    if (!req || !res || res.status < 200 || res.status >= 300) continue;
+    if (genAiOperation(req.route) !== 'chat' || !req.body || !Array.isArray(req.body.contents)) continue;
+    const { systemInstruction, contents, tools } = req.body;
+    lines.push(JSON.stringify({
+      prompt: {
+        ...(systemInstruction ? { systemInstruction } : {}),
+        contents,
+        ...(tools ? { tools } : {}),
+      },
+      completion: {
+        text: res.content || '',
+        ...(res.tool_calls ? { tool_calls: res.tool_calls } : {}),
+        ...(res.finish_reason ? { finish_reason: res.finish_reason } : {}),
+      },
+      metadata: {
+        id: x.id,
+        ts: req.ts,
+        ...(req.model ? { model: req.model } : {}),
+        ...(req.conversationId ? { conversationId: req.conversationId, turn: req.turn } : {}),
+        ...(res.usage ? { usage: res.usage } : {}),
+      },
+    }));
+  }
+  return lines;
+}
+
+// { contentType, extension, text } for one of EXPORT_FORMATS
+function exportExchanges(format, exchanges, options = {}) {
+  checkExportFormat(format);
+  if (format === 'har') {
+    return { contentType: 'application/json', extension: 'har', text: JSON.stringify(toHar(exchanges), null, 2) };
+  }
+  if (format === 'otel') {
+    return { contentType: 'application/json', extension: 'otlp.json', text: JSON.stringify(toOtlp(exchanges, options)) };
+  }
+  const lines = toDatasetLines(exchanges);
+  return { contentType: 'application/x-ndjson', extension: 'jsonl', text: lines.join('\n') + (lines.length ? '\n' : '') };
+}
+
+module.exports = {
+  SEGMENT_RE,
+  compareSegmentNames,
+  EXPORT_FORMATS,
+  orderSegmentNames,
+  readLogDir,
+  exchangeCollector,
+  checkExportFormat,
+  toHar,
+  toOtlp,
+  toDatasetLines,
+  exportExchanges,
+};
@@ -0,0 +1,140 @@
+/**
+ * Timing and metrics. Each call tracks when the client request arrived, when
+ * upstream headers came back, and the first/last body chunk with chunk and byte
+ * counts; the response entry gets them as `timing`. Every logged response also
+ * feeds the Prometheus histograms served on /metrics.
+ *
+ * The timing helpers are stateless; createApp builds the metric series of one
+ * app with createMetrics and keeps them as `app.locals.metrics`.
+ */
+
+const { modelFromRoute } = require('./routing');
+
+const METRIC_SECONDS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const METRIC_DEFS = {
+  proxy_request_duration_seconds: { type: 'histogram', help: 'Time from the client request to the last response byte.' },
+  proxy_upstream_latency_seconds: { type: 'histogram', help: 'Time from the client request to the upstream response headers.' },
+  proxy_time_to_first_chunk_seconds: { type: 'histogram', help: 'Time from the client request to the first response body chunk.' },
+  proxy_stream_duration_seconds: { type: 'histogram', help: 'Time between the first and the last chunk of multi-chunk responses.' },
+  proxy_response_bytes_total: { type: 'counter', help: 'Response body bytes received from the upstream.' },
+  proxy_response_chunks_total: { type: 'counter', help: 'Response body chunks received from the upstream.' },
+};
+
+function createTiming(requestStartedAt, upstreamHeadersAt) {
+  return { startedAt: requestStartedAt, headersAt: upstreamHeadersAt, firstChunkAt: null, lastChunkAt: null, chunks: 0, bytes: 0 };
+}
+
+function recordChunkTiming(timing, chunk) {
+  if (!timing || !chunk || !chunk.length) return;
+  const now = Date.now();
+  if (timing.firstChunkAt === null) timing.firstChunkAt = now;
+  timing.lastChunkAt = now;
+  timing.chunks += 1;
+  timing.bytes += chunk.length;
+}
+
+// Response entry field; milestones are ms since the client request arrived
+function timingFields(timing) {
+  if (!timing || !timing.startedAt) return {};
+  const since = (t) => (t ? t - timing.startedAt : undefined);
+  return {
+    timing: {
+      started_at: new Date(timing.startedAt).toISOString(),
+      ...(timing.headersAt ? { upstream_headers_ms: since(timing.headersAt) } : {}),
+      ...(timing.firstChunkAt ? { first_chunk_ms: since(timing.firstChunkAt), last_chunk_ms: since(timing.lastChunkAt) } : {}),
+      chunks: timing.chunks,
+      bytes: timing.bytes,
+    },
+  };
+}
+
+// Keeps label cardinality bounded: the model gets its own label and resource ids are folded
+function metricRouteLabel(route) {
+  return String(route || '').split('?')[0]
+    .replace(/\/models\/[^/:]+/, '/models/:model')
+    .replace(/\/(files|cachedContents|tunedModels|operations|batches|corpora|uploads)\/[^/:]+/g, '/$1/:id') || 'unknown';
+}
+
+function formatMetricLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// The series of one app; model labels come from its routing table (app.locals.upstreams) and the priced families of /stats
+function createMetrics(app, { pricedModelName }) {
+  const { upstreams } = app.locals;
+  // metric name -> Map(label key -> { labels, value } | { labels, counts, sum, count })
+  const metricSeries = new Map(Object.keys(METRIC_DEFS).map((name) => [name, new Map()]));
+
+  // The model comes from the client's URL, so only models the proxy knows get a label of their own:
+  // a model named by a ROUTES_FILE route, else its priced family (see priceForModel), else "other"
+  function metricModelLabel(model) {
+    if (!model) return 'none';
+    if (upstreams.routes.some((r) => r.model === model)) return model;
+    return pricedModelName(model) || 'other';
+  }
+
+  function seriesFor(name, labels) {
+    const series = metricSeries.get(name);
+    const key = JSON.stringify(labels);
+    let s = series.get(key);
+    if (!s) {
+      s = METRIC_DEFS[name].type === 'histogram'
+        ? { labels, counts: METRIC_SECONDS_BUCKETS.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      series.set(key, s);
+    }
+    return s;
+  }
+
+  function observeHistogram(name, labels, seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return;
+    const s = seriesFor(name, labels);
+    METRIC_SECONDS_BUCKETS.forEach((le, i) => { if (seconds <= le) s.counts[i] += 1; });
+    s.sum += seconds;
+    s.count += 1;
+  }
+
+  function incrementCounter(name, labels, by) {
+    if (by) seriesFor(name, labels).value += by;
+  }
+
+  function observeResponseMetrics(entry) {
+    const labels = { route: metricRouteLabel(entry.route), model: metricModelLabel(entry.model || modelFromRoute(entry.route)), status: String(entry.status) };
+    const t = entry.timing || {};
+    if (Number.isFinite(entry.duration_ms)) observeHistogram('proxy_request_duration_seconds', labels, entry.duration_ms / 1000);
+    if (Number.isFinite(t.upstream_headers_ms)) observeHistogram('proxy_upstream_latency_seconds', labels, t.upstream_headers_ms / 1000);
+    if (Number.isFinite(t.first_chunk_ms)) observeHistogram('proxy_time_to_first_chunk_seconds', labels, t.first_chunk_ms / 1000);
+    if (t.chunks > 1) observeHistogram('proxy_stream_duration_seconds', labels, (t.last_chunk_ms - t.first_chunk_ms) / 1000);
+    incrementCounter('proxy_response_bytes_total', labels, t.bytes);
+    incrementCounter('proxy_response_chunks_total', labels, t.chunks);
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  function renderMetrics() {
+    const lines = [];
+    for (const [name, def] of Object.entries(METRIC_DEFS)) {
+      lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+      for (const s of metricSeries.get(name).values()) {
+        if (def.type === 'counter') {
+          lines.push(`${name}${formatMetricLabels(s.labels)} ${s.value}`);
+          continue;
+        }
+        METRIC_SECONDS_BUCKETS.forEach((le, i) => lines.push(`${name}_bucket${formatMetricLabels({ ...s.labels, le: String(le) })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${formatMetricLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatMetricLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatMetricLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { observeResponseMetrics, renderMetrics };
+}
+
+module.exports = {
+  createTiming,
+  recordChunkTiming,
+  timingFields,
+  createMetrics,
+};
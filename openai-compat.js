@@ -0,0 +1,353 @@
+/**
+ * OpenAI-compatible front end (OPENAI_COMPAT=true): translation between OpenAI
+ * chat/completions and Gemini generateContent. server.js rewrites
+ * /v1/chat/completions and /v1/models to Gemini calls that go through the normal
+ * pipeline, so entries log the Gemini exchange (with the original OpenAI request
+ * under `translatedFrom`) while the client gets OpenAI-shaped JSON or
+ * `chat.completion.chunk` SSE back from these helpers.
+ *
+ * The thought signatures of the tool calls handed out are per app: createApp
+ * builds a translator with createOpenAITranslator and keeps it as
+ * `app.locals.openai`.
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const OPENAI_GEMINI_API_VERSION = 'v1beta';
+const MAX_TRACKED_SIGNATURES = 5000;
+
+function openAIError(status, message, type) {
+  const defaultType = status === 429 ? 'rate_limit_error' : status >= 500 ? 'server_error' : 'invalid_request_error';
+  return {
+    error: {
+      message,
+      type: type || defaultType,
+      code: status,
+    },
+  };
+}
+
+function badOpenAIRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function newToolCallId() {
+  return `call_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function openAITextOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((p) => (typeof p === 'string' ? p : (p && typeof p.text === 'string' ? p.text : ''))).join('');
+  }
+  return '';
+}
+
+// OpenAI message content (string or typed parts) -> Gemini parts
+function openAIContentToParts(content) {
+  if (content === null || content === undefined) return [];
+  if (typeof content === 'string') return content ? [{ text: content }] : [];
+  if (!Array.isArray(content)) throw badOpenAIRequest('message content must be a string or an array of parts');
+  const parts = [];
+  for (const part of content) {
+    if (!part || typeof part !== 'object') continue;
+    if (part.type === 'text') {
+      parts.push({ text: String(part.text ?? '') });
+    } else if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+      const m = typeof url === 'string' && url.match(/^data:([^;,]+);base64,(.*)$/s);
+      if (m) parts.push({ inlineData: { mimeType: m[1], data: m[2] } });
+      else if (url) parts.push({ fileData: { fileUri: url, mimeType: mimeTypeForUrl(url) } });
+    } else if (part.type === 'input_audio' && part.input_audio) {
+      parts.push({ inlineData: { mimeType: `audio/${part.input_audio.format || 'wav'}`, data: part.input_audio.data } });
+    } else {
+      throw badOpenAIRequest(`unsupported content part type: ${part.type}`);
+    }
+  }
+  return parts;
+}
+
+function mimeTypeForUrl(url) {
+  const ext = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return { png: 'image/png', gif: 'image/gif', webp: 'image/webp', pdf: 'application/pdf' }[ext] || 'image/jpeg';
+}
+
+// Parsed tool output as a functionResponse.response object (Gemini wants an object)
+function toolResponseObject(content) {
+  const text = openAITextOf(content);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    return { content: parsed };
+  } catch (_) {
+    return { content: text };
+  }
+}
+
+function openAIToolChoiceToGemini(choice) {
+  if (choice === undefined || choice === null) return undefined;
+  if (choice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (choice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+  if (choice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  const name = choice && choice.function && choice.function.name;
+  if (name) return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [name] } };
+  throw badOpenAIRequest('unsupported tool_choice');
+}
+
+const GEMINI_FILTER_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY']);
+
+function geminiFinishToOpenAI(reason, hasToolCalls) {
+  if (!reason) return null;
+  if (hasToolCalls) return 'tool_calls';
+  if (reason === 'MAX_TOKENS') return 'length';
+  if (GEMINI_FILTER_REASONS.has(reason)) return 'content_filter';
+  return 'stop';
+}
+
+function geminiUsageToOpenAI(usage) {
+  if (!usage || typeof usage !== 'object') return undefined;
+  const prompt = usage.promptTokenCount || 0;
+  const reasoning = usage.thoughtsTokenCount || 0;
+  const completion = (usage.candidatesTokenCount || 0) + reasoning;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage.totalTokenCount || prompt + completion,
+    ...(usage.cachedContentTokenCount ? { prompt_tokens_details: { cached_tokens: usage.cachedContentTokenCount } } : {}),
+    ...(reasoning ? { completion_tokens_details: { reasoning_tokens: reasoning } } : {}),
+  };
+}
+
+// Gemini error body ({ error: { code, message, status } }) -> OpenAI error body
+function geminiErrorToOpenAI(status, text) {
+  let err = null;
+  try { err = JSON.parse(text).error; } catch (_) {}
+  const message = (err && err.message) || text || `Upstream returned ${status}`;
+  const type = status !== 429 && err && err.status ? String(err.status).toLowerCase() : undefined;
+  return openAIError(status, message, type);
+}
+
+function geminiModelToOpenAI(m) {
+  return { id: String(m.name || '').replace(/^models\//, ''), object: 'model', created: 0, owned_by: 'google' };
+}
+
+// Moves an OpenAI `Authorization: Bearer <key>` to Gemini's x-goog-api-key
+function useBearerAsGeminiKey(req) {
+  const auth = req.headers.authorization;
+  if (typeof auth === 'string' && /^Bearer\s+/i.test(auth) && !req.headers['x-goog-api-key']) {
+    req.headers['x-goog-api-key'] = auth.replace(/^Bearer\s+/i, '');
+    delete req.headers.authorization;
+  }
+}
+
+// The SSE helpers are the event splitting shared with the onStreamChunk plugin hook
+function createOpenAITranslator({ takeSseEvents, sseEventData }) {
+  // OpenAI tool call id -> Gemini thoughtSignature, echoed back when the client replays the call
+  const thoughtSignatureByCallId = new Map();
+
+  function rememberThoughtSignature(callId, signature) {
+    if (!signature) return;
+    thoughtSignatureByCallId.set(callId, signature);
+    while (thoughtSignatureByCallId.size > MAX_TRACKED_SIGNATURES) {
+      thoughtSignatureByCallId.delete(thoughtSignatureByCallId.keys().next().value);
+    }
+  }
+
+  // OpenAI chat/completions body -> { model, stream, includeUsage, body: Gemini generateContent body }
+  function openAIToGeminiRequest(body) {
+    if (!body || typeof body !== 'object') throw badOpenAIRequest('request body must be a JSON object');
+    const model = typeof body.model === 'string' ? body.model.replace(/^models\//, '') : '';
+    if (!model) throw badOpenAIRequest('model is required');
+    if (!Array.isArray(body.messages) || !body.messages.length) throw badOpenAIRequest('messages must be a non-empty array');
+
+    const system = [];
+    const contents = [];
+    const toolNames = new Map(); // tool_call_id -> function name, for the tool results that follow
+    // Consecutive messages of the same Gemini role are merged into one content
+    const push = (role, parts) => {
+      if (!parts.length) return;
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) last.parts.push(...parts);
+      else contents.push({ role, parts });
+    };
+
+    for (const msg of body.messages) {
+      if (!msg || typeof msg !== 'object') continue;
+      if (msg.role === 'system' || msg.role === 'developer') {
+        const text = openAITextOf(msg.content);
+        if (text) system.push({ text });
+      } else if (msg.role === 'user') {
+        push('user', openAIContentToParts(msg.content));
+      } else if (msg.role === 'assistant') {
+        const parts = openAIContentToParts(msg.content);
+        for (const call of Array.isArray(msg.tool_calls) ? msg.tool_calls : []) {
+          const fn = call.function || {};
+          let args = {};
+          try { args = fn.arguments ? JSON.parse(fn.arguments) : {}; } catch (_) {
+            throw badOpenAIRequest(`tool call ${call.id} has invalid JSON arguments`);
+          }
+          if (call.id) toolNames.set(call.id, fn.name);
+          const signature = call.id && thoughtSignatureByCallId.get(call.id);
+          parts.push({ functionCall: { name: fn.name, args }, ...(signature ? { thoughtSignature: signature } : {}) });
+        }
+        push('model', parts);
+      } else if (msg.role === 'tool' || msg.role === 'function') {
+        const name = toolNames.get(msg.tool_call_id) || msg.name || 'unknown';
+        push('user', [{ functionResponse: { name, response: toolResponseObject(msg.content) } }]);
+      } else {
+        throw badOpenAIRequest(`unsupported message role: ${msg.role}`);
+      }
+    }
+
+    const generationConfig = {};
+    if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+    if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+    if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+    if (body.n !== undefined) generationConfig.candidateCount = body.n;
+    if (body.stop !== undefined && body.stop !== null) generationConfig.stopSequences = [].concat(body.stop);
+    if (body.presence_penalty !== undefined) generationConfig.presencePenalty = body.presence_penalty;
+    if (body.frequency_penalty !== undefined) generationConfig.frequencyPenalty = body.frequency_penalty;
+    if (body.seed !== undefined) generationConfig.seed = body.seed;
+    const format = body.response_format;
+    if (format && format.type === 'json_object') {
+      generationConfig.responseMimeType = 'application/json';
+    } else if (format && format.type === 'json_schema') {
+      generationConfig.responseMimeType = 'application/json';
+      if (format.json_schema && format.json_schema.schema) generationConfig.responseJsonSchema = format.json_schema.schema;
+    }
+
+    const declarations = (Array.isArray(body.tools) ? body.tools : [])
+      .filter((t) => t && t.type === 'function' && t.function && t.function.name)
+      .map((t) => ({
+        name: t.function.name,
+        ...(t.function.description ? { description: t.function.description } : {}),
+        ...(t.function.parameters ? { parametersJsonSchema: t.function.parameters } : {}),
+      }));
+    const toolConfig = openAIToolChoiceToGemini(body.tool_choice);
+
+    return {
+      model,
+      stream: body.stream === true,
+      includeUsage: !!(body.stream_options && body.stream_options.include_usage),
+      body: {
+        contents,
+        ...(system.length ? { systemInstruction: { parts: system } } : {}),
+        ...(declarations.length ? { tools: [{ functionDeclarations: declarations }] } : {}),
+        ...(toolConfig ? { toolConfig } : {}),
+        ...(Object.keys(generationConfig).length ? { generationConfig } : {}),
+      },
+    };
+  }
+
+  // Visible text and function calls of one candidate (thought parts are left out, as OpenAI has no slot for them)
+  function geminiCandidateOutput(cand) {
+    const parts = cand && cand.content && Array.isArray(cand.content.parts) ? cand.content.parts : [];
+    let text = '';
+    const toolCalls = [];
+    for (const p of parts) {
+      if (!p || typeof p !== 'object') continue;
+      if (typeof p.text === 'string' && p.thought !== true) text += p.text;
+      if (p.functionCall) {
+        const id = p.functionCall.id || newToolCallId();
+        rememberThoughtSignature(id, p.thoughtSignature);
+        toolCalls.push({ id, type: 'function', function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args ?? {}) } });
+      }
+    }
+    return { text, toolCalls };
+  }
+
+  function geminiToOpenAICompletion(json, { id, model }) {
+    const candidates = json && Array.isArray(json.candidates) ? json.candidates : [];
+    const blocked = json && json.promptFeedback && json.promptFeedback.blockReason;
+    const choices = candidates.map((cand, i) => {
+      const { text, toolCalls } = geminiCandidateOutput(cand);
+      return {
+        index: typeof cand.index === 'number' ? cand.index : i,
+        message: { role: 'assistant', content: text || null, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) },
+        finish_reason: geminiFinishToOpenAI(cand.finishReason || 'STOP', toolCalls.length > 0),
+      };
+    });
+    if (!choices.length && blocked) {
+      choices.push({ index: 0, message: { role: 'assistant', content: null }, finish_reason: 'content_filter' });
+    }
+    const usage = geminiUsageToOpenAI(json && json.usageMetadata);
+    return {
+      id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: (json && json.modelVersion) || model,
+      choices,
+      ...(usage ? { usage } : {}),
+    };
+  }
+
+  // Transform re-emitting Gemini SSE events as chat.completion.chunk events, ending with [DONE]
+  function createOpenAIChunkStream({ id, model, includeUsage }) {
+    const decoder = new StringDecoder('utf8');
+    const created = Math.floor(Date.now() / 1000);
+    const started = new Set(); // candidate indexes that already sent their role delta
+    const toolIndex = new Map(); // candidate index -> next tool_calls index
+    let pending = '';
+    let usage;
+    let modelName = model;
+    const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: modelName, choices, ...extra })}\n\n`;
+
+    const translateEvent = (json) => {
+      if (!json || typeof json !== 'object') return '';
+      if (json.modelVersion) modelName = json.modelVersion;
+      if (json.usageMetadata) usage = json.usageMetadata;
+      let out = '';
+      const candidates = Array.isArray(json.candidates) ? json.candidates : [];
+      if (!candidates.length && json.promptFeedback && json.promptFeedback.blockReason) {
+        return chunk([{ index: 0, delta: {}, finish_reason: 'content_filter' }]);
+      }
+      candidates.forEach((cand, i) => {
+        const index = typeof cand.index === 'number' ? cand.index : i;
+        const { text, toolCalls } = geminiCandidateOutput(cand);
+        const delta = {};
+        if (!started.has(index)) {
+          started.add(index);
+          delta.role = 'assistant';
+        }
+        if (text) delta.content = text;
+        if (toolCalls.length) {
+          const next = toolIndex.get(index) || 0;
+          delta.tool_calls = toolCalls.map((call, k) => ({ index: next + k, ...call }));
+          toolIndex.set(index, next + toolCalls.length);
+        }
+        if (Object.keys(delta).length) out += chunk([{ index, delta, finish_reason: null }]);
+        if (cand.finishReason) {
+          out += chunk([{ index, delta: {}, finish_reason: geminiFinishToOpenAI(cand.finishReason, toolIndex.has(index)) }]);
+        }
+      });
+      return out;
+    };
+
+    return new Transform({
+      transform(buf, _enc, callback) {
+        const { events, rest } = takeSseEvents(pending + decoder.write(buf));
+        pending = rest;
+        callback(null, events.map((ev) => translateEvent(sseEventData(ev))).join('') || undefined);
+      },
+      flush(callback) {
+        let out = translateEvent(sseEventData(pending + decoder.end()));
+        if (includeUsage && usage) out += chunk([], { usage: geminiUsageToOpenAI(usage) });
+        callback(null, out + 'data: [DONE]\n\n');
+      },
+    });
+  }
+
+  return { openAIToGeminiRequest, geminiToOpenAICompletion, createOpenAIChunkStream };
+}
+
+module.exports = {
+  OPENAI_GEMINI_API_VERSION,
+  openAIError,
+  geminiErrorToOpenAI,
+  geminiModelToOpenAI,
+  useBearerAsGeminiKey,
+  createOpenAITranslator,
+};
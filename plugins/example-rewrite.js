@@ -0,0 +1,28 @@
+/**
+ * Example rewrite plugin. Load it with PLUGINS=plugins/example-rewrite.js
+ *
+ * - Adds a system instruction to every generateContent call
+ * - Caps the thinking budget
+ * - Strips the `[[debug]]` marker from streamed text
+ */
+
+module.exports = {
+  name: 'example-rewrite',
+
+  onRequest(ctx) {
+    if (!ctx.body || !/generateContent/i.test(ctx.route)) return;
+    ctx.body.systemInstruction = {
+      parts: [{ text: 'Answer concisely.' }],
+    };
+    ctx.body.generationConfig = {
+      ...ctx.body.generationConfig,
+      thinkingConfig: { thinkingBudget: 1024 },
+    };
+    // Route the call to another model:
+    // ctx.route = ctx.route.replace('gemini-2.5-pro', 'gemini-2.5-flash');
+  },
+
+  onStreamChunk(ctx) {
+    if (ctx.chunk.includes('[[debug]]')) ctx.chunk = ctx.chunk.split('[[debug]]').join('');
+  },
+};
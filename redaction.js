@@ -0,0 +1,170 @@
+/**
+ * Redaction: everything written to the console, the NDJSON log, /logs/data and
+ * exports goes through these helpers first. Credential headers and query params
+ * are always masked; extra headers, params, JSON paths and regex patterns can be
+ * added in a rules file (REDACT_RULES_FILE, see README).
+ *
+ * Shared by server.js and the export CLI (scripts/export-logs.js), so both mask
+ * the same way.
+ */
+
+const fs = require('fs');
+
+const REDACTED = '[REDACTED]';
+const DEFAULT_REDACT_HEADERS = ['authorization', 'proxy-authorization', 'x-goog-api-key', 'x-api-key', 'api-key', 'cookie', 'set-cookie'];
+const DEFAULT_REDACT_QUERY_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+const DEFAULT_REDACT_PATTERNS = [
+  // Google API keys and OAuth bearer tokens pasted into prompts or echoed in errors
+  { name: 'google-api-key', regex: 'AIza[0-9A-Za-z_\\-]{35}', replacement: REDACTED },
+  { name: 'bearer-token', regex: '(Bearer\\s+)[A-Za-z0-9._~+/\\-]+=*', flags: 'gi', replacement: '$1' + REDACTED },
+];
+
+function compileRedactPattern(rule) {
+  const flags = String(rule.flags || 'g');
+  return {
+    name: rule.name,
+    re: new RegExp(rule.regex, flags.includes('g') ? flags : flags + 'g'),
+    replacement: typeof rule.replacement === 'string' ? rule.replacement : REDACTED,
+  };
+}
+
+// "body.contents[*].parts[*].text" -> ['body', 'contents', '*', 'parts', '*', 'text']
+function parseRedactPath(p) {
+  const segments = [];
+  for (const part of String(p).split('.')) {
+    const m = part.match(/^([^[\]]*)((?:\[(?:\*|\d+)\])*)$/);
+    if (!m) { segments.push(part); continue; }
+    if (m[1]) segments.push(m[1]);
+    for (const idx of m[2].match(/\[(\*|\d+)\]/g) || []) segments.push(idx.slice(1, -1));
+  }
+  return segments;
+}
+
+// `logger` ({ log, error }) reports what was loaded (the CLI keeps stdout for its output)
+function loadRedactRules(file, logger = console) {
+  const rules = {
+    headers: new Set(DEFAULT_REDACT_HEADERS),
+    queryParams: new Set(DEFAULT_REDACT_QUERY_PARAMS),
+    paths: [],
+    patterns: DEFAULT_REDACT_PATTERNS.map(compileRedactPattern),
+  };
+  if (!fs.existsSync(file)) return rules;
+  try {
+    const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const h of cfg.headers || []) rules.headers.add(String(h).toLowerCase());
+    for (const q of cfg.queryParams || []) rules.queryParams.add(String(q));
+    for (const r of cfg.paths || []) {
+      // A path rule is either "a.b[*].c" (mask the whole value) or { path, regex?, flags?, replacement? }
+      const rule = typeof r === 'string' ? { path: r } : r;
+      if (!rule || !rule.path) continue;
+      rules.paths.push({
+        segments: parseRedactPath(rule.path),
+        pattern: rule.regex ? compileRedactPattern(rule) : null,
+        replacement: typeof rule.replacement === 'string' ? rule.replacement : REDACTED,
+      });
+    }
+    for (const r of cfg.patterns || []) {
+      if (r && r.regex) rules.patterns.push(compileRedactPattern(r));
+    }
+    logger.log(`[redact] Loaded rules from ${file}`);
+  } catch (err) {
+    logger.error(`[redact] Failed to load ${file}, using defaults only:`, err.message);
+  }
+  return rules;
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function applyAtPath(obj, segments, fn) {
+  if (!obj || typeof obj !== 'object' || !segments.length) return;
+  const [head, ...rest] = segments;
+  const keys = head === '*' ? Object.keys(obj) : [head];
+  for (const k of keys) {
+    if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+    if (rest.length) applyAtPath(obj[k], rest, fn);
+    else obj[k] = fn(obj[k]);
+  }
+}
+
+// The redaction helpers bound to one set of rules (from loadRedactRules)
+function createRedactor(rules) {
+  // Mask credential query params wherever they appear (absolute URLs, routes, free text)
+  function redactQueryParams(str) {
+    if (typeof str !== 'string' || !str) return str;
+    let out = str;
+    for (const name of rules.queryParams) {
+      const re = new RegExp(`([?&]${escapeRegExp(name)}=)[^&#\\s"']*`, 'gi');
+      out = out.replace(re, `$1${REDACTED}`);
+    }
+    return out;
+  }
+
+  function redactText(str) {
+    if (typeof str !== 'string' || !str) return str;
+    let out = redactQueryParams(str);
+    for (const { re, replacement } of rules.patterns) {
+      re.lastIndex = 0;
+      out = out.replace(re, replacement);
+    }
+    return out;
+  }
+
+  function redactHeaders(headers) {
+    const out = {};
+    for (const [k, v] of Object.entries(headers || {})) {
+      out[k] = rules.headers.has(k.toLowerCase()) ? REDACTED : v;
+    }
+    return out;
+  }
+
+  function redactStrings(value) {
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(redactStrings);
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = redactStrings(v);
+      return out;
+    }
+    return value;
+  }
+
+  // Redact any JSON value (request body, parsed response) for console output,
+  // using the same entry-rooted path rules as if it were an entry's body
+  function redactValue(value) {
+    if (value === undefined) return value;
+    return redactEntry({ body: value }).body;
+  }
+
+  function redactPathValue(value, rule) {
+    if (rule.pattern && typeof value === 'string') {
+      rule.pattern.re.lastIndex = 0;
+      return value.replace(rule.pattern.re, rule.pattern.replacement);
+    }
+    return value === undefined ? value : rule.replacement;
+  }
+
+  // Redact a full log entry; path rules are rooted at the entry (e.g. "body.contents[*]...")
+  function redactEntry(entry) {
+    if (!entry || typeof entry !== 'object') return entry;
+    const out = JSON.parse(JSON.stringify(entry));
+    if (out.headers && typeof out.headers === 'object') out.headers = redactHeaders(out.headers);
+    for (const rule of rules.paths) {
+      applyAtPath(out, rule.segments, (v) => redactPathValue(v, rule));
+    }
+    // route/target carry the query string, so ?key= is caught by redactStrings as well
+    return redactStrings(out);
+  }
+
+  return { redactQueryParams, redactText, redactHeaders, redactValue, redactEntry };
+}
+
+module.exports = {
+  REDACTED,
+  escapeRegExp,
+  parseRedactPath,
+  applyAtPath,
+  loadRedactRules,
+  createRedactor,
+};
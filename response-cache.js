@@ -0,0 +1,197 @@
+/**
+ * Response cache (CACHE=true). Successful responses to JSON requests on
+ * CACHE_ROUTES are stored one file per key in CACHE_DIR, with their raw upstream
+ * chunks, and re-emitted as chunks on a hit. The key is the method, the route
+ * without redacted query params, the canonical body, the client, the upstream
+ * route and the upstream credential. An in-memory index (least recently used
+ * first) enforces the size bounds.
+ *
+ * createApp builds one per app from `app.locals.config` and `app.locals.logger`
+ * and keeps it as `app.locals.responseCache`.
+ */
+
+const fs = require('fs');
+const { promises: fsp } = fs;
+const path = require('path');
+const crypto = require('crypto');
+
+// The helpers are the route/body normalization and chunk re-emission shared with cassettes
+function createResponseCache(app, { normalizeRouteForMatch, canonicalJson, responseFromChunks, isTextualContentType }) {
+  const { config: { CACHE_ENABLED, CACHE_DIR, CACHE_ROUTES, CACHE_TTL_SECONDS, CACHE_MAX_ENTRIES, CACHE_MAX_BYTES }, logger } = app.locals;
+
+  const cacheIndex = new Map(); // key -> { file, bytes, storedAt }
+  let cacheBytes = 0;
+  // Entries whose file is still being written, served from memory meanwhile so the
+  // next identical request is already a hit
+  const pendingCacheEntries = new Map(); // key -> { stored, storedAt }
+
+  // storedAt is read back from the entry itself: file times cannot tell it (no birthtime on
+  // some filesystems, and every hit touches mtime for the LRU order). 0 marks the entry expired.
+  function readCacheStoredAt(file) {
+    try {
+      const fd = fs.openSync(file, 'r');
+      let head = '';
+      try {
+        const buf = Buffer.alloc(4096);
+        head = buf.subarray(0, fs.readSync(fd, buf, 0, buf.length, 0)).toString('utf8');
+      } finally {
+        fs.closeSync(fd);
+      }
+      const m = head.match(/"storedAt":"([^"]+)"/);
+      const storedAt = m ? m[1] : JSON.parse(fs.readFileSync(file, 'utf8')).storedAt;
+      return Date.parse(storedAt) || 0;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  function initCache() {
+    if (!CACHE_ENABLED) return;
+    try {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      const files = fs.readdirSync(CACHE_DIR)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => {
+          const file = path.join(CACHE_DIR, f);
+          const stat = fs.statSync(file);
+          return { key: f.slice(0, -5), file, bytes: stat.size, storedAt: readCacheStoredAt(file), usedAt: stat.mtimeMs };
+        })
+        .sort((a, b) => a.usedAt - b.usedAt);
+      for (const { key, file, bytes, storedAt } of files) {
+        cacheIndex.set(key, { file, bytes, storedAt });
+        cacheBytes += bytes;
+      }
+      logger.log(`[cache] ${cacheIndex.size} cached responses in ${CACHE_DIR}`);
+    } catch (err) {
+      logger.error(`[cache] Failed to read ${CACHE_DIR}:`, err.message);
+    }
+  }
+
+  initCache();
+
+  function isCacheable(method, route, body) {
+    if (!CACHE_ENABLED || method !== 'POST' || body === undefined) return false;
+    const lc = String(route || '').toLowerCase();
+    return CACHE_ROUTES.some((r) => lc.includes(r));
+  }
+
+  // scope: { client, upstream, credential } so answers are only shared by callers that would
+  // reach the same upstream with the same credential (the whole key is a hash, secrets included)
+  function responseCacheKey(method, route, body, { client = '', upstream = '', credential = '' } = {}) {
+    return crypto.createHash('sha256')
+      .update(`${method} ${normalizeRouteForMatch(route)} ${canonicalJson(body)}`)
+      .update(`\n${JSON.stringify([client, upstream, credential])}`)
+      .digest('hex');
+  }
+
+  function isCacheExpired(meta) {
+    return CACHE_TTL_SECONDS > 0 && Date.now() - meta.storedAt > CACHE_TTL_SECONDS * 1000;
+  }
+
+  function dropCacheEntry(key) {
+    const meta = cacheIndex.get(key);
+    if (!meta) return;
+    cacheIndex.delete(key);
+    cacheBytes -= meta.bytes;
+    fsp.unlink(meta.file).catch(() => {});
+  }
+
+  function evictCache() {
+    for (const [key] of cacheIndex) {
+      const overCount = CACHE_MAX_ENTRIES > 0 && cacheIndex.size > CACHE_MAX_ENTRIES;
+      const overBytes = CACHE_MAX_BYTES > 0 && cacheBytes > CACHE_MAX_BYTES;
+      if (!overCount && !overBytes) break;
+      dropCacheEntry(key);
+    }
+  }
+
+  // Returns { response, storedAt } for a fresh entry, null otherwise
+  async function lookupCache(key) {
+    const pending = pendingCacheEntries.get(key);
+    if (pending) return cachedResponse(pending.stored, pending.storedAt);
+    const meta = cacheIndex.get(key);
+    if (!meta) return null;
+    if (isCacheExpired(meta)) {
+      dropCacheEntry(key);
+      return null;
+    }
+    let stored;
+    try {
+      stored = JSON.parse(await fsp.readFile(meta.file, 'utf8'));
+    } catch (err) {
+      logger.error(`[cache] Dropping unreadable entry ${key}:`, err.message);
+      dropCacheEntry(key);
+      return null;
+    }
+    // Mark as most recently used, in memory and on disk (mtime) so the order survives restarts
+    cacheIndex.delete(key);
+    cacheIndex.set(key, meta);
+    const now = new Date();
+    fsp.utimes(meta.file, now, now).catch(() => {});
+    return cachedResponse(stored, meta.storedAt);
+  }
+
+  function cachedResponse(stored, storedAt) {
+    const headers = { 'content-type': stored.contentType || 'application/json; charset=utf-8' };
+    return { response: responseFromChunks(stored.status, headers, stored.chunks, 0), storedAt };
+  }
+
+  async function storeCachedResponse(key, { method, route, status, contentType, buffers, times }) {
+    if (status < 200 || status >= 300) return;
+    const binary = !isTextualContentType(contentType);
+    const storedAt = Date.now();
+    const stored = {
+      // First, so a restart reads it from the head of the file
+      storedAt: new Date(storedAt).toISOString(),
+      method,
+      route: normalizeRouteForMatch(route),
+      status,
+      contentType: contentType || '',
+      chunks: buffers.map((b, i) => ({
+        at: times[i] || 0,
+        data: b.toString(binary ? 'base64' : 'utf8'),
+        ...(binary ? { encoding: 'base64' } : {}),
+      })),
+    };
+    const pending = { stored, storedAt };
+    pendingCacheEntries.set(key, pending);
+    const data = JSON.stringify(stored);
+    const file = path.join(CACHE_DIR, `${key}.json`);
+    try {
+      // Write then rename so a crash never leaves a truncated entry behind; concurrent stores of a key use their own temp file
+      const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fsp.writeFile(tmp, data);
+      await fsp.rename(tmp, file);
+    } catch (err) {
+      logger.error('[cache] Failed to store response:', err.message);
+      if (pendingCacheEntries.get(key) === pending) pendingCacheEntries.delete(key);
+      return;
+    }
+    // Replaced by a newer store of the same key, or dropped by DELETE /cache while writing
+    if (pendingCacheEntries.get(key) !== pending) {
+      if (!pendingCacheEntries.has(key)) await fsp.unlink(file).catch(() => {});
+      return;
+    }
+    pendingCacheEntries.delete(key);
+    const previous = cacheIndex.get(key);
+    if (previous) {
+      cacheIndex.delete(key);
+      cacheBytes -= previous.bytes;
+    }
+    const bytes = Buffer.byteLength(data);
+    cacheIndex.set(key, { file, bytes, storedAt });
+    cacheBytes += bytes;
+    evictCache();
+  }
+
+  function clearCache() {
+    const keys = Array.from(new Set([...cacheIndex.keys(), ...pendingCacheEntries.keys()]));
+    pendingCacheEntries.clear();
+    keys.forEach(dropCacheEntry);
+    return keys.length;
+  }
+
+  return { isCacheable, responseCacheKey, lookupCache, storeCachedResponse, clearCache };
+}
+
+module.exports = { createResponseCache };
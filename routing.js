@@ -0,0 +1,148 @@
+/**
+ * Upstream routing (ROUTES_FILE). Routes are tried in order; the first whose
+ * `prefix` (path prefix) and/or `model` (name or glob from /models/<model>:)
+ * match picks the upstream `base`, with optional path `rewrite`, `stripPrefix`,
+ * and injected `headers` / `query` (values may use ${ENV_VAR}). Unmatched
+ * requests go to API_BASE as the "default" upstream.
+ *
+ * createApp builds one router per app from `app.locals.config` and keeps it as
+ * `app.locals.upstreams`; the route helpers are shared with limits.js and metrics.js.
+ */
+
+const fs = require('fs');
+const { escapeRegExp } = require('./redaction');
+
+// "/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse" -> "gemini-2.5-pro"
+function modelFromRoute(route) {
+  const m = String(route || '').match(/\/models\/([^/:?]+)/);
+  return m ? decodeURIComponent(m[1]) : '';
+}
+
+// ${NAME} placeholders are filled from `env` (the config's environment); unset names expand to ''
+function expandEnv(value, env) {
+  return String(value).replace(/\$\{(\w+)\}/g, (_m, name) => (env && env[name]) || '');
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${String(glob).split('*').map(escapeRegExp).join('.*')}$`, 'i');
+}
+
+// The routing table of one app: ROUTES_FILE is read once, upload sessions are remembered per app
+function createUpstreamRouter(app) {
+  const { config: { API_BASE, ROUTE_PREFIX, ROUTES_FILE, env }, logger } = app.locals;
+  const DEFAULT_UPSTREAM = { name: 'default', base: API_BASE, headers: {}, removeHeaders: [], query: {}, rewrite: [] };
+
+  function loadUpstreamRoutes(file) {
+    if (!fs.existsSync(file)) return [];
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      logger.error(`[routes] Failed to load ${file}, using API_BASE only:`, err.message);
+      return [];
+    }
+    const routes = [];
+    (Array.isArray(config) ? config : config.routes || []).forEach((r, i) => {
+      if (!r || typeof r.base !== 'string' || (!r.prefix && !r.model)) {
+        logger.error(`[routes] Ignoring route #${i + 1}: needs "base" and a "prefix" or "model"`);
+        return;
+      }
+      routes.push({
+        name: r.name || `route#${i + 1}`,
+        prefix: r.prefix ? '/' + String(r.prefix).replace(/^\/+/, '') : null,
+        model: r.model || null,
+        modelRe: r.model ? globToRegExp(r.model) : null,
+        base: r.base.replace(/\/+$/, ''),
+        stripPrefix: r.stripPrefix === true,
+        rewrite: [].concat(r.rewrite || []).map((rw) => ({ from: new RegExp(rw.from), to: expandEnv(rw.to ?? '', env) })),
+        headers: r.headers || {},
+        removeHeaders: (r.removeHeaders || []).map((h) => String(h).toLowerCase()),
+        query: r.query || {},
+      });
+    });
+    logger.log(`[routes] Loaded ${routes.length} upstream route(s) from ${file}`);
+    return routes;
+  }
+
+  const UPSTREAM_ROUTES = loadUpstreamRoutes(ROUTES_FILE);
+
+  // { name, base, url, route } for a proxied route ("/v1beta/models/x:generateContent?alt=sse")
+  function resolveUpstream(route) {
+    const [pathname, query = ''] = String(route || '').split('?');
+    const model = modelFromRoute(pathname);
+    const match = UPSTREAM_ROUTES.find((r) => (
+      (!r.prefix || pathname === r.prefix || pathname.startsWith(r.prefix.replace(/\/?$/, '/')))
+      && (!r.modelRe || (model && r.modelRe.test(model)))
+    )) || DEFAULT_UPSTREAM;
+    let upstreamPath = pathname;
+    if (match.stripPrefix && match.prefix) upstreamPath = pathname.slice(match.prefix.length) || '/';
+    for (const rw of match.rewrite) upstreamPath = upstreamPath.replace(rw.from, rw.to);
+    const params = new URLSearchParams(query);
+    for (const [k, v] of Object.entries(match.query)) params.set(k, expandEnv(v, env));
+    const qs = params.toString();
+    return { upstream: match, url: match.base + upstreamPath + (qs ? `?${qs}` : '') };
+  }
+
+  // Resumable uploads: the upload URL handed back by the target that was actually called is
+  // rewritten to a proxy path (under ROUTE_PREFIX) and remembered, so the chunks and the
+  // finalize request go back to that exact URL whatever the routing table or fallbacks say
+  const UPLOAD_SESSIONS_MAX = 1000;
+  const uploadSessions = new Map(); // proxy path + query -> { url, upstream }
+
+  function proxyUploadUrl(uploadUrl, target, proxyOrigin) {
+    let real;
+    try {
+      real = new URL(uploadUrl);
+      if (real.origin !== new URL(target.url).origin) return null;
+    } catch (_) {
+      return null;
+    }
+    const prefix = ROUTE_PREFIX || '';
+    const proxyPath = (real.pathname.startsWith(prefix) ? '' : prefix) + real.pathname + real.search;
+    uploadSessions.delete(proxyPath);
+    uploadSessions.set(proxyPath, { url: real.href, upstream: target.upstream });
+    if (uploadSessions.size > UPLOAD_SESSIONS_MAX) uploadSessions.delete(uploadSessions.keys().next().value);
+    return proxyOrigin + proxyPath;
+  }
+
+  // { url, upstream } of the upload session a proxied route (path + query) continues, if any
+  function uploadSession(route) {
+    return uploadSessions.get(route) || null;
+  }
+
+  // Credentials and headers configured for the upstream, applied on top of the client's headers
+  function applyUpstreamHeaders(upstream, headers) {
+    const out = {};
+    for (const [k, v] of Object.entries(headers)) {
+      const lk = k.toLowerCase();
+      if (upstream.removeHeaders.includes(lk) || Object.keys(upstream.headers).some((h) => h.toLowerCase() === lk)) continue;
+      out[k] = v;
+    }
+    for (const [k, v] of Object.entries(upstream.headers)) out[k] = expandEnv(v, env);
+    return out;
+  }
+
+  // /health view of the table; header values are never shown since they usually hold credentials
+  function describeUpstreams() {
+    return [...UPSTREAM_ROUTES, DEFAULT_UPSTREAM].map((r) => ({
+      name: r.name,
+      ...(r.prefix ? { prefix: r.prefix } : {}),
+      ...(r.model ? { model: r.model } : {}),
+      base: r.base,
+      ...(r.stripPrefix ? { stripPrefix: true } : {}),
+      ...(r.rewrite.length ? { rewrite: r.rewrite.map((rw) => ({ from: rw.from.source, to: rw.to })) } : {}),
+      ...(Object.keys(r.headers).length ? { headers: Object.keys(r.headers) } : {}),
+      ...(r.removeHeaders.length ? { removeHeaders: r.removeHeaders } : {}),
+      ...(Object.keys(r.query).length ? { query: Object.keys(r.query) } : {}),
+    }));
+  }
+
+  return { defaultUpstream: DEFAULT_UPSTREAM, routes: UPSTREAM_ROUTES, resolveUpstream, proxyUploadUrl, uploadSession, applyUpstreamHeaders, describeUpstreams };
+}
+
+module.exports = {
+  modelFromRoute,
+  expandEnv,
+  globToRegExp,
+  createUpstreamRouter,
+};
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Export proxy logs without running the server.
+ *
+ *   node scripts/export-logs.js --format har|otel|jsonl [--from ISO] [--to ISO]
+ *     [--conversation c-xxxx] [--session s-xxxx] [--log-dir logs] [--out file]
+ *     [--collector http://localhost:4318/v1/traces] [--redact-rules redact-rules.json]
+ *
+ * Writes to stdout unless --out is given. With --format otel, --collector posts
+ * the OTLP JSON to a collector's HTTP traces endpoint instead. Entries are
+ * redacted with the server's rules (REDACT_RULES_FILE) before export, as
+ * /logs/export does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXPORT_FORMATS, readLogDir, exchangeCollector, checkExportFormat, exportExchanges } = require('../log-export');
+const { loadRedactRules, createRedactor } = require('../redaction');
+
+const USAGE = `Usage: node scripts/export-logs.js --format ${EXPORT_FORMATS.join('|')} [options]
+  --from, --to ISO      time range (request timestamps)
+  --conversation ID     only this conversation
+  --session ID          only this session
+  --log-dir DIR         log directory (default: logs/)
+  --out FILE            write to FILE instead of stdout
+  --collector URL       otel only: POST to an OTLP/HTTP traces endpoint
+  --service-name NAME   otel only: service.name resource attribute
+  --redact-rules FILE   redaction rules (default: $REDACT_RULES_FILE or redact-rules.json)`;
+
+function parseArgs(argv) {
+  const args = {
+    format: 'har',
+    logDir: path.join(__dirname, '..', 'logs'),
+    redactRules: process.env.REDACT_RULES_FILE || path.join(__dirname, '..', 'redact-rules.json'),
+  };
+  const names = { '--format': 'format', '--from': 'from', '--to': 'to', '--conversation': 'conversationId', '--session': 'session', '--log-dir': 'logDir', '--out': 'out', '--collector': 'collector', '--service-name': 'serviceName', '--redact-rules': 'redactRules' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '-h' || argv[i] === '--help') args.help = true;
+    else if (names[argv[i]] && argv[i + 1] !== undefined) args[names[argv[i]]] = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  checkExportFormat(args.format);
+  if (args.collector && args.format !== 'otel') throw new Error('--collector only applies to --format otel');
+
+  const { redactEntry } = createRedactor(loadRedactRules(path.resolve(args.redactRules), { log: console.error, error: console.error }));
+  const collector = exchangeCollector(args);
+  await readLogDir(path.resolve(args.logDir), (entry) => collector.add(redactEntry(entry)));
+  const exchanges = collector.finish();
+  const out = exportExchanges(args.format, exchanges, args.serviceName ? { serviceName: args.serviceName } : {});
+
+  if (args.collector) {
+    const resp = await fetch(args.collector, { method: 'POST', headers: { 'content-type': 'application/json' }, body: out.text });
+    if (!resp.ok) throw new Error(`Collector answered ${resp.status}: ${(await resp.text()).slice(0, 500)}`);
+    console.error(`[export] Sent ${exchanges.length} spans to ${args.collector}`);
+  } else if (args.out) {
+    fs.writeFileSync(args.out, out.text);
+    console.error(`[export] Wrote ${exchanges.length} exchanges to ${args.out}`);
+  } else {
+    process.stdout.write(out.text);
+  }
+}
+
+main().catch((err) => {
+  console.error(`[export] ${err.message}`);
+  process.exit(1);
+});
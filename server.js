@@ -12,26 +12,23 @@ const fs = require('fs');
 const { promises: fsp } = fs;
 const path = require('path');
 const express = require('express');
-const { Readable } = require('stream');
+const { Readable, Transform } = require('stream');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const { promisify } = require('util');
+const { SEGMENT_RE, compareSegmentNames, orderSegmentNames, exchangeCollector, checkExportFormat, exportExchanges } = require('./log-export');
+const { REDACTED, parseRedactPath, applyAtPath, loadRedactRules, createRedactor } = require('./redaction');
+const { modelFromRoute, expandEnv, createUpstreamRouter } = require('./routing');
+const { createLimits } = require('./limits');
+const { createResponseCache } = require('./response-cache');
+const { createTiming, recordChunkTiming, timingFields, createMetrics } = require('./metrics');
+const { OPENAI_GEMINI_API_VERSION, openAIError, geminiErrorToOpenAI, geminiModelToOpenAI, useBearerAsGeminiKey, createOpenAITranslator } = require('./openai-compat');
 require('dotenv').config(); // charge .env
 
-const app = express();
-app.use(express.json({ limit: '5mb' }));
-// Basic CORS support for browser-based clients
-app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, OpenAI-Organization, OpenAI-Project, OpenAI-Beta');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, DELETE');
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
-  next();
-});
-
-app.use((req, res, next) => {
-  // Log incoming requests
-  console.log(`[incoming] ${req.method} ${req.originalUrl} from ${req.ip}`);
-  next();
-});
+const gunzip = promisify(zlib.gunzip);
 
 // Ensure fetch exists (support Node <18 via node-fetch@3)
 if (typeof globalThis.fetch !== 'function') {
@@ -47,113 +44,158 @@ if (typeof globalThis.fetch !== 'function') {
   }
 }
 
-// Diagnostics: capture unexpected exits/signals/errors
-process.on('exit', (code) => {
-  console.log(`[process] exit with code ${code}`);
-});
-['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((sig) => {
-  process.on(sig, () => {
-    console.log(`[process] received ${sig}, shutting down`);
-    process.exit(0);
-  });
-});
-process.on('uncaughtException', (err) => {
-  console.error('[process] uncaughtException:', err);
-});
-process.on('unhandledRejection', (reason) => {
-  console.error('[process] unhandledRejection:', reason);
-});
-
-const PORT = Number(process.env.PORT || 5000);
-const API_BASE = (() => {
-  const fallbackBase = 'https://generativelanguage.googleapis.com';
-  const envBase = typeof process.env.API_BASE === 'string' ? process.env.API_BASE.trim() : '';
-  let base = envBase || fallbackBase;
-  base = base.replace(/\/+$/, '');
-  return base;
-})();
-const ROUTE_PREFIX = process.env.ROUTE_PREFIX || '';
-const AUTO_PORT = String(process.env.AUTO_PORT || 'true').toLowerCase() === 'true';
-const LOG_RAW_BODY = String(process.env.LOG_RAW_BODY || 'true').toLowerCase() === 'true';
-
-
-
-// Ensure log directory exists
-const LOG_DIR = path.join(__dirname, 'logs');
-const LOG_FILE = path.join(LOG_DIR, 'requests.ndjson');
-if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
-const DEFAULT_LOG_LIMIT = 200;
-const MAX_LOG_LIMIT = 1000;
-
-function logRequest(id, route, body, upstreamUrl) {
-  const entry = {
-    ts: new Date().toISOString(),
-    id,
-    type: 'request',
-    route,
-    ...(upstreamUrl ? { target: upstreamUrl } : {}),
-    body,
-  };
-  const line = JSON.stringify(entry) + '\n';
-  fs.appendFile(LOG_FILE, line, (err) => {
-    if (err) console.error('Failed to write log:', err);
-  });
-  console.log(`\n=== ${route} @ ${entry.ts} ===`);
-  if (upstreamUrl) {
-    console.log(`[target] ${upstreamUrl}`);
-  }
-  console.log(JSON.stringify(body, null, 2));
-}
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info'];
 
-async function loadRecentLogs(limit = DEFAULT_LOG_LIMIT) {
-  const effectiveLimit = Math.min(Math.max(1, Number(limit) || DEFAULT_LOG_LIMIT), MAX_LOG_LIMIT);
-  try {
-    const data = await fsp.readFile(LOG_FILE, 'utf8');
-    const lines = data.split(/\r?\n/).filter(Boolean);
-    const recent = lines.slice(-effectiveLimit);
-    return recent.map((line) => {
-      try {
-        return JSON.parse(line);
-      } catch (err) {
-        return { ts: new Date().toISOString(), type: 'parse_error', raw: line, error: err.message };
-      }
-    });
-  } catch (err) {
-    if (err.code === 'ENOENT') return [];
-    throw err;
-  }
+// The app's console output, cut down to LOG_LEVEL: `log` is info, `warn` and `error` keep their level
+function createConsoleLogger(level = 'info') {
+  const rank = LOG_LEVELS.indexOf(level);
+  const at = (min, method) => (rank >= LOG_LEVELS.indexOf(min) ? (...args) => console[method](...args) : () => {});
+  return { log: at('info', 'log'), warn: at('warn', 'warn'), error: at('error', 'error') };
 }
 
-function logResponseFull(id, route, status, headers, bodyText, summaryText) {
-  // Extract tool calls for better human readability in logs
-  const toolCalls = extractToolCalls(bodyText, headers);
-  // Try to parse body as JSON for structured logging
-  let parsedBody = null;
-  if (LOG_RAW_BODY) {
-    try {
-      parsedBody = JSON.parse(bodyText);
-    } catch (_) {
-      // keep as text if not JSON
-    }
-  }
-  const entry = {
-    ts: new Date().toISOString(),
-    id,
-    type: 'response',
-    route,
-    status,
-    ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
-    ...(LOG_RAW_BODY ? { body: parsedBody ?? bodyText } : {}),
-    content: summaryText,
+// Config factory: every setting comes from `env` (process.env plus .env by default)
+function loadConfig(env = process.env) {
+  const PORT = Number(env.PORT || 5000);
+  const API_BASE = (() => {
+    const fallbackBase = 'https://generativelanguage.googleapis.com';
+    const envBase = typeof env.API_BASE === 'string' ? env.API_BASE.trim() : '';
+    let base = envBase || fallbackBase;
+    base = base.replace(/\/+$/, '');
+    return base;
+  })();
+  const ROUTE_PREFIX = env.ROUTE_PREFIX || '';
+  const AUTO_PORT = String(env.AUTO_PORT || 'true').toLowerCase() === 'true';
+  const LOG_RAW_BODY = String(env.LOG_RAW_BODY || 'true').toLowerCase() === 'true';
+  // Console output: info (everything), warn, error or silent
+  const LOG_LEVEL = LOG_LEVELS.includes(String(env.LOG_LEVEL || '').toLowerCase()) ? String(env.LOG_LEVEL).toLowerCase() : 'info';
+  // Record/replay: RECORD stores raw chunks + timing on response entries; REPLAY_CASSETTE serves them back
+  const RECORD = String(env.RECORD || 'false').toLowerCase() === 'true';
+  const REPLAY_CASSETTE = env.REPLAY_CASSETTE ? path.resolve(env.REPLAY_CASSETTE) : '';
+  const REPLAY_STRICT = String(env.REPLAY_STRICT || 'false').toLowerCase() === 'true';
+  const REPLAY_SPEED = Math.max(0, Number(env.REPLAY_SPEED ?? 1) || 0);
+  const REPLAY_IGNORE_FIELDS = String(env.REPLAY_IGNORE_FIELDS || '')
+    .split(',').map((f) => f.trim()).filter(Boolean);
+  // Upstream resilience: timeouts, retries with backoff, and fallback bases/keys
+  const UPSTREAM_TIMEOUT_MS = Math.max(0, Number(env.UPSTREAM_TIMEOUT_MS) || 0);
+  const UPSTREAM_ROUTE_TIMEOUTS = String(env.UPSTREAM_ROUTE_TIMEOUTS || '')
+    .split(',')
+    .map((pair) => pair.trim().split('='))
+    .filter(([pattern, ms]) => pattern && Number.isFinite(Number(ms)))
+    .map(([pattern, ms]) => ({ pattern: pattern.trim().toLowerCase(), ms: Math.max(0, Number(ms)) }));
+  const RETRY_MAX = Math.max(0, Number(env.RETRY_MAX) || 0);
+  const RETRY_BASE_MS = Math.max(0, Number(env.RETRY_BASE_MS ?? 1000) || 0);
+  const RETRY_MAX_DELAY_MS = Math.max(0, Number(env.RETRY_MAX_DELAY_MS ?? 30000) || 0);
+  const FALLBACK_API_BASES = String(env.FALLBACK_API_BASES || '')
+    .split(',').map((b) => b.trim().replace(/\/+$/, '')).filter(Boolean);
+  const FALLBACK_API_KEYS = String(env.FALLBACK_API_KEYS || '')
+    .split(',').map((k) => k.trim()).filter(Boolean);
+  // Usage accounting: session attribution and the per-model price table used by /stats
+  const SESSION_HEADER = String(env.SESSION_HEADER || 'x-session-id').toLowerCase();
+  const SESSION_IDLE_MINUTES = Math.max(1, Number(env.SESSION_IDLE_MINUTES) || 30);
+  const PRICES_FILE = env.PRICES_FILE
+    ? path.resolve(env.PRICES_FILE)
+    : path.join(__dirname, 'prices.json');
+  const REDACT_RULES_FILE = env.REDACT_RULES_FILE
+    ? path.resolve(env.REDACT_RULES_FILE)
+    : path.join(__dirname, 'redact-rules.json');
+  // Client access tokens; without the file the proxy and its log routes are open to anyone
+  const AUTH_FILE = env.AUTH_FILE
+    ? path.resolve(env.AUTH_FILE)
+    : path.join(__dirname, 'auth.json');
+  // Upstream key sent as x-goog-api-key when the client supplies none (default upstream only)
+  const UPSTREAM_API_KEY = String(env.UPSTREAM_API_KEY || '').trim();
+  // Browser origins allowed by CORS ("*" for any)
+  const CORS_ORIGINS = String(env.CORS_ORIGINS || '*')
+    .split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
+  // Per client / model request rates, daily token budgets and request size caps
+  const LIMITS_FILE = env.LIMITS_FILE
+    ? path.resolve(env.LIMITS_FILE)
+    : path.join(__dirname, 'limits.json');
+  // Routing table mapping route prefixes / model names to other upstream bases
+  const ROUTES_FILE = env.ROUTES_FILE
+    ? path.resolve(env.ROUTES_FILE)
+    : path.join(__dirname, 'routes.json');
+  // Rewrite hooks: comma-separated module paths (or package names) loaded at startup
+  const PLUGIN_SPECS = String(env.PLUGINS || '')
+    .split(',').map((p) => p.trim()).filter(Boolean);
+  // Serve /v1/chat/completions and /v1/models, translated to Gemini
+  const OPENAI_COMPAT = String(env.OPENAI_COMPAT || 'false').toLowerCase() === 'true';
+  // Response cache: identical requests on CACHE_ROUTES are served from CACHE_DIR
+  const CACHE_ENABLED = String(env.CACHE || 'false').toLowerCase() === 'true';
+  const CACHE_DIR = env.CACHE_DIR ? path.resolve(env.CACHE_DIR) : path.join(__dirname, 'cache');
+  const CACHE_TTL_SECONDS = Math.max(0, Number(env.CACHE_TTL_SECONDS ?? 86400) || 0);
+  const CACHE_MAX_ENTRIES = Math.max(0, Number(env.CACHE_MAX_ENTRIES ?? 1000) || 0);
+  const CACHE_MAX_BYTES = Math.max(0, Number(env.CACHE_MAX_BYTES ?? 200 * 1024 * 1024) || 0);
+  const CACHE_ROUTES = String(env.CACHE_ROUTES || 'generateContent,countTokens,embedContent')
+    .split(',').map((r) => r.trim().toLowerCase()).filter(Boolean);
+  // Log directory (LOG_DIR), with rotation and retention of its requests.ndjson (0 disables the corresponding rule)
+  const LOG_DIR = env.LOG_DIR ? path.resolve(env.LOG_DIR) : path.join(__dirname, 'logs');
+  const LOG_MAX_BYTES = Math.max(0, Number(env.LOG_MAX_BYTES ?? 50 * 1024 * 1024) || 0);
+  const LOG_ROTATE_HOURS = Math.max(0, Number(env.LOG_ROTATE_HOURS ?? 24) || 0);
+  const LOG_GZIP = String(env.LOG_GZIP || 'false').toLowerCase() === 'true';
+  const LOG_RETENTION_DAYS = Math.max(0, Number(env.LOG_RETENTION_DAYS) || 0);
+  const LOG_MAX_SEGMENTS = Math.max(0, Number(env.LOG_MAX_SEGMENTS) || 0);
+
+  return {
+    PORT,
+    API_BASE,
+    ROUTE_PREFIX,
+    AUTO_PORT,
+    LOG_RAW_BODY,
+    LOG_LEVEL,
+    RECORD,
+    REPLAY_CASSETTE,
+    REPLAY_STRICT,
+    REPLAY_SPEED,
+    REPLAY_IGNORE_FIELDS,
+    UPSTREAM_TIMEOUT_MS,
+    UPSTREAM_ROUTE_TIMEOUTS,
+    RETRY_MAX,
+    RETRY_BASE_MS,
+    RETRY_MAX_DELAY_MS,
+    FALLBACK_API_BASES,
+    FALLBACK_API_KEYS,
+    SESSION_HEADER,
+    SESSION_IDLE_MINUTES,
+    PRICES_FILE,
+    REDACT_RULES_FILE,
+    AUTH_FILE,
+    UPSTREAM_API_KEY,
+    CORS_ORIGINS,
+    LIMITS_FILE,
+    ROUTES_FILE,
+    PLUGIN_SPECS,
+    OPENAI_COMPAT,
+    CACHE_ENABLED,
+    CACHE_DIR,
+    CACHE_TTL_SECONDS,
+    CACHE_MAX_ENTRIES,
+    CACHE_MAX_BYTES,
+    CACHE_ROUTES,
+    LOG_DIR,
+    LOG_MAX_BYTES,
+    LOG_ROTATE_HOURS,
+    LOG_GZIP,
+    LOG_RETENTION_DAYS,
+    LOG_MAX_SEGMENTS,
+    // The variables ${NAME} placeholders in ROUTES_FILE and AUTH_FILE resolve from
+    env,
   };
-  fs.appendFile(LOG_FILE, JSON.stringify(entry) + '\n', (err) => {
-    if (err) console.error('Failed to write response log:', err);
-  });
 }
 
+// ---------------------------------------------------------------------------
+// Response extraction: text, tool calls and Gemini fields from the JSON, JSON
+// array and SSE bodies of the supported APIs. Pure functions, shared by every
+// app instance.
+// ---------------------------------------------------------------------------
 function extractContentFromJson(json) {
   try {
     if (!json || typeof json !== 'object') return '';
+    // Gemini generateContent (object) or streamGenerateContent without alt=sse (array of chunks)
+    if (Array.isArray(json) || Array.isArray(json.candidates)) {
+      const chunks = (Array.isArray(json) ? json : [json]).filter(isGeminiChunk);
+      if (chunks.length) return extractGeminiFromChunks(chunks).text;
+    }
     // chat/completions (non-stream)
     if (Array.isArray(json.choices) && json.choices.length) {
       const parts = [];
@@ -190,12 +232,18 @@ function extractContentFromJson(json) {
 function extractContentFromSSE(bodyText) {
   const lines = bodyText.split(/\r?\n/);
   const acc = [];
+  const geminiEvents = []; // folded together at the end so each candidate keeps its own text
   for (const line of lines) {
     if (!line.startsWith('data:')) continue;
     const payload = line.slice(5).trim();
     if (!payload || payload === '[DONE]') continue;
     try {
       const evt = JSON.parse(payload);
+      // Gemini streamGenerateContent?alt=sse
+      if (isGeminiChunk(evt)) {
+        geminiEvents.push(evt);
+        continue;
+      }
       // chat/completions streaming
       if (evt && Array.isArray(evt.choices)) {
         for (const c of evt.choices) {
@@ -227,21 +275,55 @@ function extractContentFromSSE(bodyText) {
       // ignore malformed SSE chunk
     }
   }
+  if (geminiEvents.length) return extractGeminiFromChunks(geminiEvents).text;
   return acc.join('');
 }
 
+// The complete top-level elements of an interrupted JSON array, as a closed array (null if none)
+function closeTruncatedJsonArray(text) {
+  const start = text.indexOf('[');
+  if (start < 0 || text.slice(0, start).trim()) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let lastEnd = -1;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      depth += 1;
+    } else if (ch === ']' || ch === '}') {
+      depth -= 1;
+      if (depth === 1) lastEnd = i + 1;
+    }
+  }
+  return lastEnd < 0 ? null : `${text.slice(start, lastEnd)}]`;
+}
+
+// JSON.parse, except that a JSON array stream cut short gives the chunks that arrived in full,
+// so every extractor sees the same partial response
+function parseJsonBody(bodyText) {
+  try {
+    return JSON.parse(bodyText);
+  } catch (err) {
+    const closed = closeTruncatedJsonArray(bodyText);
+    if (closed) return JSON.parse(closed);
+    throw err;
+  }
+}
+
 function extractContent(bodyText, headers) {
   try {
     const ct = (headers['content-type'] || headers['Content-Type'] || '').toLowerCase();
     if (ct.includes('text/event-stream') || /^data:/m.test(bodyText)) {
       return extractContentFromSSE(bodyText);
     }
-    // Try JSON parsing
-    try {
-      const json = JSON.parse(bodyText);
-      const c = extractContentFromJson(json);
-      if (c) return c;
-    } catch (_) {}
+    return extractContentFromJson(parseJsonBody(bodyText));
   } catch (_) {}
   return '';
 }
@@ -249,6 +331,11 @@ function extractContent(bodyText, headers) {
 // Extract tool calls from final JSON objects
 function extractToolCallsFromJson(json) {
   try {
+    // Gemini candidates[].content.parts[].functionCall (object or streamed array)
+    if (Array.isArray(json) || Array.isArray(json.candidates)) {
+      const chunks = (Array.isArray(json) ? json : [json]).filter(isGeminiChunk);
+      return extractGeminiFromChunks(chunks).toolCalls;
+    }
     const calls = [];
     // chat/completions final message.tool_calls
     if (Array.isArray(json.choices)) {
@@ -280,11 +367,17 @@ function extractToolCallsFromJson(json) {
 function extractToolCallsFromSSE(bodyText) {
   const lines = bodyText.split(/\r?\n/);
   const accByIndex = new Map(); // index -> { name, arguments }
+  const geminiEvents = [];
   for (const line of lines) {
     if (!line.startsWith('data:')) continue;
     const payload = line.slice(5).trim();
     if (!payload || payload === '[DONE]') continue;
     let evt; try { evt = JSON.parse(payload); } catch { continue; }
+    if (isGeminiChunk(evt)) {
+      // Gemini emits complete functionCall parts per chunk, no fragment merging needed
+      geminiEvents.push(evt);
+      continue;
+    }
     const choices = evt && Array.isArray(evt.choices) ? evt.choices : [];
     for (const ch of choices) {
       const delta = ch && ch.delta;
@@ -299,6 +392,7 @@ function extractToolCallsFromSSE(bodyText) {
       }
     }
   }
+  if (geminiEvents.length) return extractGeminiFromChunks(geminiEvents).toolCalls;
   return Array.from(accByIndex.values()).filter(e => e.name || e.arguments);
 }
 
@@ -309,249 +403,2651 @@ function extractToolCalls(bodyText, headers) {
       return extractToolCallsFromSSE(bodyText);
     }
     try {
-      const json = JSON.parse(bodyText);
-      return extractToolCallsFromJson(json);
+      return extractToolCallsFromJson(parseJsonBody(bodyText));
     } catch (_) { /* not JSON */ }
   } catch (_) {}
   return [];
 }
 
-//streamGenerateContent
-
-async function sendRequestToUpstream(req) {
-  const body = req.body || {};
+// Gemini native responses: a generateContent body is one object, streamGenerateContent
+// returns either a JSON array of chunks or SSE `data:` lines when called with alt=sse
+function isGeminiChunk(obj) {
+  return !!obj && typeof obj === 'object' && !Array.isArray(obj) && (
+    Array.isArray(obj.candidates) || !!obj.usageMetadata || !!obj.promptFeedback
+  );
+}
 
-  let upstreamUrl = API_BASE + req.url;
-  
-  const headers = {};
-  // Copy headers from req, but strip hop-by-hop and problematic ones
-  Object.keys(req.headers).forEach((key) => {
-    const lk = key.toLowerCase();
-    if (['content-length', 'host', 'connection', 'transfer-encoding', 'accept-encoding', 'keep-alive', 'proxy-connection', 'te', 'trailer', 'upgrade'].includes(lk)) {
-      return;
+function parseGeminiChunks(bodyText, headers) {
+  const ct = (headers['content-type'] || headers['Content-Type'] || '').toLowerCase();
+  if (ct.includes('text/event-stream') || /^data:/m.test(bodyText)) {
+    const chunks = [];
+    for (const line of bodyText.split(/\r?\n/)) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') continue;
+      try {
+        const evt = JSON.parse(payload);
+        if (isGeminiChunk(evt)) chunks.push(evt);
+      } catch (_) {
+        // ignore malformed SSE chunk
+      }
     }
-    headers[key] = req.headers[key];
+    return chunks;
+  }
+  try {
+    const json = parseJsonBody(bodyText);
+    return (Array.isArray(json) ? json : [json]).filter(isGeminiChunk);
+  } catch (_) {
+    return [];
+  }
+}
+
+// Fold Gemini chunks into a single summary, per candidate (`index`, else its position in
+// `candidates`). Text and parts accumulate across chunks; finishReason, safetyRatings and
+// usageMetadata are cumulative so the last one wins. Candidate 0 gives the top-level fields,
+// the others (candidateCount > 1) are listed in `otherCandidates`.
+function extractGeminiFromChunks(chunks) {
+  const byIndex = new Map(); // candidate index -> { text: [], thoughts: [], toolCalls, codeExecution, finishReason, safetyRatings }
+  let usage;
+  let modelVersion;
+  let promptFeedback;
+  for (const chunk of chunks) {
+    if (!chunk || typeof chunk !== 'object') continue;
+    const candidates = Array.isArray(chunk.candidates) ? chunk.candidates : [];
+    candidates.forEach((cand, position) => {
+      if (!cand || typeof cand !== 'object') return;
+      const index = Number.isInteger(cand.index) ? cand.index : position;
+      if (!byIndex.has(index)) byIndex.set(index, { text: [], thoughts: [], toolCalls: [], codeExecution: [] });
+      const acc = byIndex.get(index);
+      const parts = cand.content && Array.isArray(cand.content.parts) ? cand.content.parts : [];
+      for (const p of parts) {
+        if (!p || typeof p !== 'object') continue;
+        if (typeof p.text === 'string') {
+          if (p.thought === true) acc.thoughts.push(p.text);
+          else acc.text.push(p.text);
+        }
+        const fc = p.functionCall || p.function_call;
+        if (fc && typeof fc === 'object') {
+          acc.toolCalls.push({
+            ...(fc.id ? { id: fc.id } : {}),
+            name: typeof fc.name === 'string' ? fc.name : undefined,
+            arguments: JSON.stringify(fc.args ?? {}),
+          });
+        }
+        const code = p.executableCode || p.executable_code;
+        if (code && typeof code === 'object') {
+          acc.codeExecution.push({ type: 'executable_code', language: code.language, code: code.code });
+        }
+        const result = p.codeExecutionResult || p.code_execution_result;
+        if (result && typeof result === 'object') {
+          acc.codeExecution.push({ type: 'code_execution_result', outcome: result.outcome, output: result.output });
+        }
+      }
+      if (typeof cand.finishReason === 'string') acc.finishReason = cand.finishReason;
+      if (Array.isArray(cand.safetyRatings)) acc.safetyRatings = cand.safetyRatings;
+    });
+    if (chunk.usageMetadata && typeof chunk.usageMetadata === 'object') usage = chunk.usageMetadata;
+    if (typeof chunk.modelVersion === 'string') modelVersion = chunk.modelVersion;
+    if (chunk.promptFeedback && typeof chunk.promptFeedback === 'object') promptFeedback = chunk.promptFeedback;
+  }
+  const summarize = (acc) => ({
+    text: acc.text.join(''),
+    thoughts: acc.thoughts.join(''),
+    toolCalls: acc.toolCalls,
+    codeExecution: acc.codeExecution,
+    finishReason: acc.finishReason,
+    safetyRatings: acc.safetyRatings,
   });
+  const [first, ...others] = Array.from(byIndex.keys()).sort((a, b) => a - b);
+  const primary = first === undefined ? summarize({ text: [], thoughts: [], toolCalls: [], codeExecution: [] }) : summarize(byIndex.get(first));
+  return {
+    ...primary,
+    otherCandidates: others.map((index) => ({ index, ...summarize(byIndex.get(index)) })),
+    usage,
+    modelVersion,
+    promptFeedback,
+  };
+}
 
-  // check if there is a content-type header, if not, set it to application/json
-  if (!headers['content-type'] && !headers['Content-Type']) {
-    console.log('[proxy] No Content-Type header found, setting to application/json');
-    headers['Content-Type'] = 'application/json';
+// Structured Gemini fields for the response log entry (empty object for non-Gemini bodies)
+function extractGeminiFields(bodyText, headers) {
+  try {
+    const chunks = parseGeminiChunks(bodyText, headers);
+    if (!chunks.length) return {};
+    const g = extractGeminiFromChunks(chunks);
+    return {
+      ...(g.thoughts ? { thoughts: g.thoughts } : {}),
+      ...(g.codeExecution.length ? { code_execution: g.codeExecution } : {}),
+      ...(g.finishReason ? { finish_reason: g.finishReason } : {}),
+      ...(g.safetyRatings ? { safety_ratings: g.safetyRatings } : {}),
+      ...(g.promptFeedback ? { prompt_feedback: g.promptFeedback } : {}),
+      ...(g.usage ? { usage: g.usage } : {}),
+      ...(g.modelVersion ? { model_version: g.modelVersion } : {}),
+      ...(g.otherCandidates.length ? {
+        other_candidates: g.otherCandidates.map((c) => ({
+          index: c.index,
+          content: c.text,
+          ...(c.thoughts ? { thoughts: c.thoughts } : {}),
+          ...(c.toolCalls.length ? { tool_calls: c.toolCalls } : {}),
+          ...(c.codeExecution.length ? { code_execution: c.codeExecution } : {}),
+          ...(c.finishReason ? { finish_reason: c.finishReason } : {}),
+          ...(c.safetyRatings ? { safety_ratings: c.safetyRatings } : {}),
+        })),
+      } : {}),
+    };
+  } catch (_) {
+    return {};
   }
+}
 
-  const reqId = (crypto.randomUUID && typeof crypto.randomUUID === 'function')
-    ? crypto.randomUUID()
-    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
-  logRequest(reqId, req.url, body, upstreamUrl);
+// Builds the app and all its state (log files, caches, counters, loaded config files)
+// from `config`, so several differently configured instances can run in one process
+function createApp(config = loadConfig()) {
+  const {
+    API_BASE,
+    ROUTE_PREFIX,
+    LOG_RAW_BODY,
+    LOG_LEVEL,
+    RECORD,
+    REPLAY_CASSETTE,
+    REPLAY_STRICT,
+    REPLAY_SPEED,
+    REPLAY_IGNORE_FIELDS,
+    UPSTREAM_TIMEOUT_MS,
+    UPSTREAM_ROUTE_TIMEOUTS,
+    RETRY_MAX,
+    RETRY_BASE_MS,
+    RETRY_MAX_DELAY_MS,
+    FALLBACK_API_BASES,
+    FALLBACK_API_KEYS,
+    SESSION_HEADER,
+    SESSION_IDLE_MINUTES,
+    PRICES_FILE,
+    REDACT_RULES_FILE,
+    AUTH_FILE,
+    UPSTREAM_API_KEY,
+    CORS_ORIGINS,
+    PLUGIN_SPECS,
+    OPENAI_COMPAT,
+    LOG_DIR,
+    LOG_MAX_BYTES,
+    LOG_ROTATE_HOURS,
+    LOG_GZIP,
+    LOG_RETENTION_DAYS,
+    LOG_MAX_SEGMENTS,
+    env,
+  } = config;
 
-  console.log(`[proxy] ${req.method} ${upstreamUrl}`);
-  console.log(`body : ${JSON.stringify(body).slice(0, 1000)}${JSON.stringify(body).length > 1000 ? '...' : ''}`);
-  console.log(`headers: ${JSON.stringify(headers).slice(0, 1000)}${JSON.stringify(headers).length > 1000 ? '...' : ''}`);
+  const logger = createConsoleLogger(LOG_LEVEL);
+  const app = express();
+  // Read by the modules built below (response-cache.js, limits.js, ...)
+  app.locals.config = config;
+  app.locals.logger = logger;
+  // Only JSON bodies are parsed; other content types (multipart, uploads) are left unread and streamed upstream
+  app.use(express.json({ limit: '5mb' }));
+  // Basic CORS support for browser-based clients
+  app.use((req, res, next) => {
+    if (CORS_ORIGINS.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      res.setHeader('Vary', 'Origin');
+      if (CORS_ORIGINS.includes(req.headers.origin)) res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    }
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Proxy-Token, X-Goog-Api-Key, OpenAI-Organization, OpenAI-Project, OpenAI-Beta');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, OPTIONS, DELETE');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
 
-  
-  const upstreamResp = await fetch(upstreamUrl, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body),
+  app.use((req, res, next) => {
+    // Log incoming requests
+    logger.log(`[incoming] ${req.method} ${redactQueryParams(req.originalUrl)} from ${req.ip}`);
+    next();
   });
-  return { upstreamResp, reqId, route : req.url, upstreamUrl };
-}
 
-async function sendUpstreamResponseToClient(upstreamResp, res, ctx) {
-  const { reqId, route } = ctx || {};
-  res.status(upstreamResp.status);
 
-  // Prepare plain headers map for logging and sanitize before forwarding
-  const plainHeaders = {};
-  upstreamResp.headers.forEach((value, key) => { plainHeaders[key] = value; });
 
-  // Remove or override hop-by-hop and encoding/length headers that can be invalid after decoding/streaming
-  // Always treat keys in a case-insensitive way (fetch returns lowercase keys, but be safe)
-  const removeHeader = (obj, name) => {
-    const lc = name.toLowerCase();
-    Object.keys(obj).forEach((k) => {
-      if (k.toLowerCase() === lc) delete obj[k];
-    });
-  };
 
+  // Ensure log directory exists
+  const LOG_FILE = path.join(LOG_DIR, 'requests.ndjson');
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  const DEFAULT_LOG_LIMIT = 200;
+  const MAX_LOG_LIMIT = 1000;
 
-  // print headers
-  console.log(`[proxy] Upstream response headers: ${JSON.stringify(plainHeaders).slice(0, 1000)}${JSON.stringify(plainHeaders).length > 1000 ? '...' : ''}`);
-  
-  const ct = String(plainHeaders['content-type'] || plainHeaders['Content-Type'] || '').toLowerCase();
-  const routeStr = typeof route === 'string' ? route : '';
-  const shouldStream = routeStr.toLowerCase().includes('streamgeneratecontent') || ct.includes('text/event-stream');
+  // Redaction rules from REDACT_RULES_FILE (see redaction.js)
+  const REDACT_RULES = loadRedactRules(REDACT_RULES_FILE, logger);
+  const { redactQueryParams, redactText, redactHeaders, redactValue, redactEntry } = createRedactor(REDACT_RULES);
 
-  if (shouldStream) {
-    console.log('[proxy] Streaming response detected, piping to client');
-    // Forward upstream content-type (or default to JSON streaming)
-    const origCT = plainHeaders['content-type'] || plainHeaders['Content-Type'];
-    res.setHeader('Content-Type', origCT || 'application/json; charset=utf-8');
-    // Do not set Content-Length for streaming
-    if (typeof res.flushHeaders === 'function') {
-      try { res.flushHeaders(); } catch (_) {}
+  // ---------------------------------------------------------------------------
+  // Log storage. Entries are appended to logs/requests.ndjson through a single
+  // write queue. The live file is rotated by size (LOG_MAX_BYTES) and age
+  // (LOG_ROTATE_HOURS) into logs/requests-<segment start>.ndjson[.gz] segments,
+  // and old segments are pruned by LOG_RETENTION_DAYS / LOG_MAX_SEGMENTS.
+  // Readers walk the segments from the newest line backwards, so /logs/data
+  // never loads a whole file, and page with an opaque cursor.
+  // ---------------------------------------------------------------------------
+  const LIVE_SEGMENT = path.basename(LOG_FILE);
+  const READ_CHUNK_BYTES = 64 * 1024;
+
+  let logWriteChain = Promise.resolve();
+  let logFileBytes = 0;
+  // Work running detached from any request (segment maintenance, cache stores); app.close() waits for it
+  const pendingWork = new Set();
+
+  function trackPending(promise) {
+    const done = () => pendingWork.delete(promise);
+    pendingWork.add(promise);
+    promise.then(done, done);
+    return promise;
+  }
+  // The live file's start is the `ts` of its first entry, both when it is written and when it is
+  // read back at startup, so its segment name and the cursors pointing into it survive restarts
+  let logSegmentStartedAt = null; // ms timestamp of the first entry in the live file
+  let liveSegmentName = null; // name the live file gets when rotated
+
+  function segmentStamp(ms) {
+    return new Date(ms).toISOString().replace(/[-:.]/g, '');
+  }
+
+  // requests-<start>.ndjson, or requests-<start>-<n>.ndjson when segments already started in that millisecond
+  function planSegmentName(startedAt) {
+    const stamp = segmentStamp(startedAt);
+    for (let n = 0; ; n++) {
+      const name = `requests-${stamp}${n ? `-${n}` : ''}.ndjson`;
+      if (!['', '.gz', '.gz.tmp'].some((ext) => fs.existsSync(path.join(LOG_DIR, name + ext)))) return name;
     }
+  }
 
-    const body = upstreamResp.body;
-    if (!body) { res.end(); return; }
+  function startLiveSegment(ts) {
+    const ms = Date.parse(ts);
+    logSegmentStartedAt = Number.isFinite(ms) ? ms : Date.now();
+    liveSegmentName = planSegmentName(logSegmentStartedAt);
+  }
 
+  // Pick up size and start time of an existing live file so rotation survives restarts
+  function initLogSegmentState() {
+    let stat;
     try {
-      const nodeStream = Readable.fromWeb(body);
-      const collected = [];
-      nodeStream.on('error', (err) => {
-        console.error('Upstream stream error:', err);
-        if (!res.headersSent) res.status(502);
-        res.end();
-      });
-      nodeStream.on('data', (chunk) => {
-        console.log(`[proxy] Streaming chunk: ${chunk.length} bytes`);
-        try { collected.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)); } catch (_) {}
-      });
-      nodeStream.on('end', () => {
-        console.log('[proxy] Upstream stream ended');
-        try {
-          const text = Buffer.concat(collected).toString('utf8');
-          // Pretty-print JSON in console when possible
-          try {
-            const parsed = JSON.parse(text);
-            console.log(JSON.stringify(parsed, null, 2));
-          } catch (_) {
-            console.log(text);
-          }
-          const content = extractContent(text, plainHeaders);
-          if (reqId && route) logResponseFull(reqId, route, upstreamResp.status, plainHeaders, text, content);
-        } catch (_) {}
-      });
-      nodeStream.pipe(res);
-    } catch (err) {
-      console.error('[proxy] Failed to stream upstream body:', err);
-      if (!res.headersSent) res.status(502).end(); else res.end();
+      stat = fs.statSync(LOG_FILE);
+    } catch (_) {
+      return;
     }
-    return;
-  } else {
-    console.log('[proxy] Non-streaming response, buffering entire body before forwarding');
+    logFileBytes = stat.size;
+    if (!stat.size) return;
+    let firstTs = new Date(stat.mtimeMs).toISOString();
     try {
-      // Forward safe headers (without length/encoding); set Content-Length after buffering
-      removeHeader(plainHeaders, 'content-length');
-      removeHeader(plainHeaders, 'content-length');
-      removeHeader(plainHeaders, 'content-encoding');
-      removeHeader(plainHeaders, 'transfer-encoding');
-      removeHeader(plainHeaders, 'connection');
-      removeHeader(plainHeaders, 'keep-alive');
+      const fd = fs.openSync(LOG_FILE, 'r');
+      try {
+        const buf = Buffer.alloc(Math.min(stat.size, READ_CHUNK_BYTES));
+        fs.readSync(fd, buf, 0, buf.length, 0);
+        firstTs = JSON.parse(buf.toString('utf8').split('\n')[0]).ts ?? firstTs;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (_) {
+      // unparsable first line: fall back to the file time
+    }
+    startLiveSegment(firstTs);
+  }
+  initLogSegmentState();
 
+  async function gzipSegment(file) {
+    const tmp = file + '.gz.tmp';
+    await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(tmp));
+    await fsp.rename(tmp, file + '.gz');
+    await fsp.unlink(file);
+  }
 
-      Object.keys(plainHeaders).forEach((key) => {
-        res.setHeader(key, plainHeaders[key]);
-      });
-      const ab = await upstreamResp.arrayBuffer();
-      const buf = Buffer.from(ab);
-      const textPreview = (() => {
-        try { return buf.toString('utf8'); } catch { return ''; }
-      })();
-      // Pretty-print JSON in console when possible
+  async function applyLogRetention() {
+    if (!LOG_RETENTION_DAYS && !LOG_MAX_SEGMENTS) return;
+    const segments = (await listLogSegments()).filter((s) => s !== LIVE_SEGMENT);
+    const doomed = new Set();
+    if (LOG_MAX_SEGMENTS && segments.length > LOG_MAX_SEGMENTS) {
+      segments.slice(0, segments.length - LOG_MAX_SEGMENTS).forEach((s) => doomed.add(s));
+    }
+    if (LOG_RETENTION_DAYS) {
+      const cutoff = Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      for (const seg of segments) {
+        try {
+          if ((await fsp.stat(path.join(LOG_DIR, seg))).mtimeMs < cutoff) doomed.add(seg);
+        } catch (_) {}
+      }
+    }
+    for (const seg of doomed) {
       try {
-        const parsed = JSON.parse(textPreview);
-        console.log(JSON.stringify(parsed, null, 2));
-      } catch (_) {
-        console.log(textPreview);
+        await fsp.unlink(path.join(LOG_DIR, seg));
+        logger.log(`[logs] Retention removed ${seg}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') logger.error(`[logs] Failed to remove ${seg}:`, err);
       }
-      // Set correct Content-Length and forward safe headers
-      res.setHeader('content-length', String(buf.length));
-      // If upstream didn't send content-type, default to application/json
-      if (!plainHeaders['content-type'] && !plainHeaders['Content-Type']) {
-        res.setHeader('Content-Type', 'application/json');
+    }
+  }
+
+  // Runs inside the write queue, before the next line is appended
+  async function rotateLogIfNeeded(incomingBytes) {
+    if (!logFileBytes) return;
+    const tooBig = LOG_MAX_BYTES && logFileBytes + incomingBytes > LOG_MAX_BYTES;
+    const tooOld = LOG_ROTATE_HOURS && logSegmentStartedAt !== null
+      && Date.now() - logSegmentStartedAt > LOG_ROTATE_HOURS * 60 * 60 * 1000;
+    if (!tooBig && !tooOld) return;
+    // rename() replaces an existing file: never rotate onto a segment that appeared since the name was planned
+    let name = liveSegmentName || planSegmentName(logSegmentStartedAt ?? Date.now());
+    if (fs.existsSync(path.join(LOG_DIR, name))) name = planSegmentName(logSegmentStartedAt ?? Date.now());
+    const segment = path.join(LOG_DIR, name);
+    await fsp.rename(LOG_FILE, segment);
+    logFileBytes = 0;
+    logSegmentStartedAt = null;
+    liveSegmentName = null;
+    logger.log(`[logs] Rotated log to ${path.basename(segment)}`);
+    // Compression and pruning happen off the write path; readers prefer the plain file until the .gz is complete
+    trackPending(Promise.resolve()
+      .then(() => (LOG_GZIP ? gzipSegment(segment) : null))
+      .then(() => applyLogRetention())
+      .catch((err) => logger.error('[logs] Segment maintenance failed:', err)));
+  }
+
+  function appendLogEntry(entry, errLabel = 'Failed to write log:') {
+    const redacted = redactEntry(entry);
+    const line = JSON.stringify(redacted) + '\n';
+    const bytes = Buffer.byteLength(line);
+    logWriteChain = logWriteChain
+      .then(() => rotateLogIfNeeded(bytes))
+      .then(() => fsp.appendFile(LOG_FILE, line))
+      .then(() => {
+        logFileBytes += bytes;
+        if (logSegmentStartedAt === null) startLiveSegment(redacted.ts);
+        broadcastLogEvent('entry', redacted);
+      })
+      .catch((err) => logger.error(errLabel, err));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Live feed (/logs/stream): Server-Sent Events pushing every entry once it is
+  // written, plus the raw chunks of responses that are still streaming.
+  // ---------------------------------------------------------------------------
+  const LOG_STREAM_HEARTBEAT_MS = 15000;
+  const logStreamClients = new Set(); // { res, chunks, heartbeat }
+
+  function broadcastLogEvent(event, data) {
+    if (!logStreamClients.size) return;
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of logStreamClients) {
+      if (event === 'chunk' && !client.chunks) continue;
+      try { client.res.write(payload); } catch (_) {}
+    }
+  }
+
+  function handleLogStream(req, res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    if (typeof res.flushHeaders === 'function') {
+      try { res.flushHeaders(); } catch (_) {}
+    }
+    const client = { res, chunks: String(req.query.chunks || 'true').toLowerCase() !== 'false' };
+    logStreamClients.add(client);
+    res.write(': connected\n\n');
+    client.heartbeat = setInterval(() => {
+      try { res.write(': ping\n\n'); } catch (_) {}
+    }, LOG_STREAM_HEARTBEAT_MS);
+    req.on('close', () => endLogStreamClient(client));
+  }
+
+  function endLogStreamClient(client) {
+    clearInterval(client.heartbeat);
+    logStreamClients.delete(client);
+  }
+
+  // Truncate the live file and drop every rotated segment, serialized with pending writes
+  function clearAllLogs() {
+    const run = logWriteChain.then(async () => {
+      for (const seg of await listLogSegments()) {
+        if (seg === LIVE_SEGMENT) continue;
+        try { await fsp.unlink(path.join(LOG_DIR, seg)); } catch (err) { if (err.code !== 'ENOENT') throw err; }
       }
+      await fsp.writeFile(LOG_FILE, '');
+      logFileBytes = 0;
+      logSegmentStartedAt = null;
+      liveSegmentName = null;
+    });
+    logWriteChain = run.catch(() => {});
+    return run;
+  }
+
+  // Segment file names, oldest first; the live file is always last
+  async function listLogSegments() {
+    let names = [];
+    try {
+      names = await fsp.readdir(LOG_DIR);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return orderSegmentNames(names, LIVE_SEGMENT);
+  }
 
-      // Log aggregated response for debugging
+  function parseLogLine(line) {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return { ts: new Date().toISOString(), type: 'parse_error', raw: line, error: err.message };
+    }
+  }
+
+  // Random access over a segment: plain files are read in chunks, gzip segments are inflated in
+  // the thread pool, once per reader or once per `inflated` map (segment -> Promise<Buffer>) shared by the caller
+  async function openSegmentReader(segment, inflated = new Map()) {
+    const file = path.join(LOG_DIR, segment);
+    if (segment.endsWith('.gz')) {
+      if (!inflated.has(segment)) inflated.set(segment, fsp.readFile(file).then((data) => gunzip(data)));
+      let buf;
       try {
-        const content = extractContent(textPreview, plainHeaders);
-        if (reqId && route) logResponseFull(reqId, route, upstreamResp.status, plainHeaders, textPreview, content);
-      } catch (_) {}
-
-      res.status(upstreamResp.status);
-      res.write(buf);
-      res.send();
-      console.log('[proxy] Response fully sent to client');
+        buf = await inflated.get(segment);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return { size: buf.length, read: async (pos, len) => buf.subarray(pos, pos + len), close: async () => {} };
+    }
+    let fh;
+    try {
+      fh = await fsp.open(file, 'r');
     } catch (err) {
-      console.error('[proxy] Error reading upstream response body:', err);
-      if (!res.headersSent) res.status(502).end();
-      else res.end();
+      if (err.code === 'ENOENT') return null;
+      throw err;
     }
+    const { size } = await fh.stat();
+    return {
+      size,
+      read: async (pos, len) => {
+        const buf = Buffer.alloc(len);
+        const { bytesRead } = await fh.read(buf, 0, len, pos);
+        return buf.subarray(0, bytesRead);
+      },
+      close: () => fh.close(),
+    };
   }
-}
 
-async function proxyPost(req, res) {
+  // Yields { text, offset } from the last line before byte `end` back to the first line
+  async function* readSegmentLinesBackward(segment, end) {
+    const reader = await openSegmentReader(segment);
+    if (!reader) return;
+    try {
+      let pos = end === undefined ? reader.size : Math.min(end, reader.size);
+      let tail = Buffer.alloc(0);
+      while (pos > 0) {
+        const len = Math.min(READ_CHUNK_BYTES, pos);
+        pos -= len;
+        const data = Buffer.concat([await reader.read(pos, len), tail]);
+        let lineEnd = data.length;
+        for (let i = data.length - 1; i >= 0; i--) {
+          if (data[i] !== 0x0a) continue;
+          const text = data.subarray(i + 1, lineEnd).toString('utf8').trim();
+          if (text) yield { text, offset: pos + i + 1 };
+          lineEnd = i;
+        }
+        tail = data.subarray(0, lineEnd);
+      }
+      const first = tail.toString('utf8').trim();
+      if (first) yield { text: first, offset: 0 };
+    } finally {
+      await reader.close();
+    }
+  }
 
-  console.log(`\n\n\n\n[proxy] Proxying POST to upstream path segment: ${req.url}\n\n`);
+  // Cursor = position just before the last returned line. The live file is identified by the
+  // segment name it will be rotated to, so a cursor still resolves after the rotation.
+  function logPosition(segment, offset) {
+    return segment === LIVE_SEGMENT ? { s: segment, n: liveSegmentName, o: offset } : { s: segment, o: offset };
+  }
 
-  try {
-    const { upstreamResp, reqId, route } = await sendRequestToUpstream(req);
-    console.log(`[proxy] Upstream response: ${upstreamResp.status} ${upstreamResp.statusText}`);
-    await sendUpstreamResponseToClient(upstreamResp, res, { reqId, route });
+  function resolveLogPosition(c, segments) {
+    let segment = String(c.s || '');
+    if (segment === LIVE_SEGMENT && c.n && c.n !== liveSegmentName && SEGMENT_RE.test(String(c.n))) {
+      segment = String(c.n);
+    }
+    if (!segments.includes(segment) && segments.includes(segment + '.gz')) segment += '.gz';
+    if (segment.endsWith('.gz') && segments.includes(segment.slice(0, -3))) segment = segment.slice(0, -3);
+    return { segment, offset: Number(c.o) || 0 };
   }
-  catch (err) {
-    console.error('[proxy] Error during proxying:', err);
-    if (!res.headersSent) res.status(500).json({ error: 'Proxy error', detail: err.message });
-    else res.end();
+
+  // `extra` carries per-view state, e.g. the positions of responses still waiting for their request in /logs/search
+  function encodeLogCursor(segment, offset, extra) {
+    return Buffer.from(JSON.stringify({ ...logPosition(segment, offset), ...extra })).toString('base64url');
+  }
+
+  function decodeLogCursor(cursor, segments) {
+    if (!cursor) return null;
+    let c;
+    try {
+      c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (_) {
+      throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+    }
+    if (!c || typeof c !== 'object') throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+    const pending = Array.isArray(c.p) ? c.p.filter((p) => p && typeof p === 'object').map((p) => resolveLogPosition(p, segments)) : [];
+    return { ...resolveLogPosition(c, segments), pending };
   }
-    
-}
 
-app.get('/health', (_req, res) => res.json({ ok: true, apiBase: API_BASE, namespace: API_NAMESPACE }));
+  // The entry on the line starting at byte `offset` (an offset yielded by readSegmentLinesBackward)
+  async function readLogLineAt(segment, offset, inflated) {
+    const reader = await openSegmentReader(segment, inflated);
+    if (!reader) return null;
+    try {
+      const chunks = [];
+      for (let pos = offset; pos < reader.size; pos += READ_CHUNK_BYTES) {
+        const data = await reader.read(pos, Math.min(READ_CHUNK_BYTES, reader.size - pos));
+        const nl = data.indexOf(0x0a);
+        chunks.push(nl === -1 ? data : data.subarray(0, nl));
+        if (nl !== -1) break;
+      }
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      return text ? parseLogLine(text) : null;
+    } finally {
+      await reader.close();
+    }
+  }
 
-app.get('/logs/data', async (req, res) => {
-  try {
-    const { limit } = req.query;
-    const entries = await loadRecentLogs(limit);
-    res.json({ entries });
-  } catch (err) {
-    console.error('[logs] Failed to read log file:', err);
-    res.status(500).json({ error: 'Failed to read logs', detail: err.message });
+  function matchesStatus(status, wanted) {
+    if (status === undefined) return false;
+    return String(wanted).split(',').some((w) => {
+      const m = w.trim().toLowerCase().match(/^([1-5])xx$/);
+      if (m) return Math.floor(Number(status) / 100) === Number(m[1]);
+      return String(status) === w.trim();
+    });
   }
-});
 
-app.delete('/logs/data', async (_req, res) => {
-  try {
-    await fsp.writeFile(LOG_FILE, '');
-    res.json({ ok: true });
-  } catch (err) {
-    if (err && err.code === 'ENOENT') {
-      // Nothing to clear
-      return res.json({ ok: true });
+  // Server-side filters for /logs/data; an entry without the filtered field does not match
+  function matchesLogFilters(entry, f) {
+    if (!entry || typeof entry !== 'object') return false;
+    if (f.id && entry.id !== f.id) return false;
+    if (f.type && entry.type !== f.type) return false;
+    if (f.from && !(entry.ts >= f.from)) return false;
+    if (f.to && !(entry.ts <= f.to)) return false;
+    if (f.route && !String(entry.route || '').toLowerCase().includes(String(f.route).toLowerCase())) return false;
+    if (f.model && entry.model !== f.model && entry.model_version !== f.model) return false;
+    if (f.status && !matchesStatus(entry.status, f.status)) return false;
+    if (f.client && entry.client !== f.client) return false;
+    return true;
+  }
+
+  // Newest-first scan across segments; returns the page in chronological order plus the next (older) cursor
+  async function queryLogs({ limit = DEFAULT_LOG_LIMIT, cursor, filters = {} } = {}) {
+    const effectiveLimit = Math.min(Math.max(1, Number(limit) || DEFAULT_LOG_LIMIT), MAX_LOG_LIMIT);
+    const segments = await listLogSegments();
+    const start = decodeLogCursor(cursor, segments);
+    let index = segments.length - 1;
+    if (start) {
+      index = segments.indexOf(start.segment);
+      // Segment pruned since the cursor was issued: continue with the next older one
+      if (index === -1) index = segments.filter((s) => s !== LIVE_SEGMENT && compareSegmentNames(s, start.segment) < 0).length - 1;
+    }
+    const matched = [];
+    let nextCursor = null;
+    scan: for (let i = index; i >= 0; i--) {
+      const segment = segments[i];
+      const end = start && segment === start.segment ? start.offset : undefined;
+      for await (const { text, offset } of readSegmentLinesBackward(segment, end)) {
+        const entry = parseLogLine(text);
+        // Entries are appended in time order, so nothing older can match once past `from`
+        if (filters.from && entry.ts && entry.ts < filters.from) break scan;
+        if (!matchesLogFilters(entry, filters)) continue;
+        matched.push(entry);
+        if (matched.length >= effectiveLimit) {
+          nextCursor = encodeLogCursor(segment, offset);
+          break scan;
+        }
+      }
+    }
+    return { entries: matched.reverse(), nextCursor };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search (/logs/search). Works on exchanges (request + response sharing an
+  // id): free text over prompt and response text, field filters over the
+  // response. Scans backwards like /logs/data and pages with the same cursors;
+  // responses whose request lies past the end of a page travel in the cursor
+  // and are paired on the page that reaches their request.
+  // ---------------------------------------------------------------------------
+
+  // 'read_file "safety block"' -> ['read_file', 'safety block'] (lowercased, all must match)
+  function parseSearchTerms(q) {
+    const terms = [];
+    const re = /"([^"]+)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(q || '')))) terms.push((m[1] || m[2]).toLowerCase());
+    return terms;
+  }
+
+  function partsText(parts, out) {
+    for (const p of Array.isArray(parts) ? parts : []) {
+      if (!p || typeof p !== 'object') continue;
+      if (typeof p.text === 'string') out.push(p.text);
+      const fc = p.functionCall || p.function_call;
+      if (fc) out.push(String(fc.name || ''), JSON.stringify(fc.args ?? {}));
+      const fr = p.functionResponse || p.function_response;
+      if (fr) out.push(String(fr.name || ''), JSON.stringify(fr.response ?? {}));
+    }
+  }
+
+  // Prompt side: contents, systemInstruction, OpenAI-style messages; response side: extracted text and tool calls
+  function exchangeSearchText(request, response) {
+    const out = [];
+    const body = request && request.body && typeof request.body === 'object' ? request.body : null;
+    if (body) {
+      for (const c of Array.isArray(body.contents) ? body.contents : []) partsText(c && c.parts, out);
+      const sys = body.systemInstruction || body.system_instruction;
+      if (sys) partsText(sys.parts, out);
+      for (const m of Array.isArray(body.messages) ? body.messages : []) {
+        if (m && typeof m.content === 'string') out.push(m.content);
+      }
+    }
+    if (response) {
+      if (typeof response.content === 'string') out.push(response.content);
+      if (typeof response.thoughts === 'string') out.push(response.thoughts);
+      for (const tc of Array.isArray(response.tool_calls) ? response.tool_calls : []) out.push(String(tc.name || ''), String(tc.arguments || ''));
+      const err = response.body && typeof response.body === 'object' && response.body.error;
+      if (err && typeof err.message === 'string') out.push(err.message);
     }
-    console.error('[logs] Failed to clear log file:', err);
-    res.status(500).json({ error: 'Failed to clear logs', detail: err.message });
+    return out.join('\n').toLowerCase();
   }
-});
 
-app.get('/logs', (_req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'logs.html'));
-});
+  function inRange(value, min, max) {
+    if (min === undefined && max === undefined) return true;
+    if (!Number.isFinite(value)) return false;
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+    return true;
+  }
 
-const PROXY_PREFIX = ROUTE_PREFIX || '';
+  function toNumberOrUndefined(v) {
+    if (v === undefined || v === '') return undefined;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : undefined;
+  }
 
-const prefixRegex = new RegExp(`^${PROXY_PREFIX}(.*)`);
-app.post(prefixRegex, (req, res) => proxyPost(req, res));
+  function normalizeSearchQuery(query) {
+    return {
+      terms: parseSearchTerms(query.q),
+      from: query.from || undefined,
+      to: query.to || undefined,
+      route: query.route || undefined,
+      status: query.status || undefined,
+      model: query.model || undefined,
+      finishReason: query.finishReason ? String(query.finishReason).toUpperCase() : undefined,
+      functionName: query.functionName ? String(query.functionName).toLowerCase() : undefined,
+      minLatency: toNumberOrUndefined(query.minLatency),
+      maxLatency: toNumberOrUndefined(query.maxLatency),
+      minTokens: toNumberOrUndefined(query.minTokens),
+      maxTokens: toNumberOrUndefined(query.maxTokens),
+    };
+  }
 
-function startListening(port, triesLeft = 10) {
-  const server = app.listen(port, () => {
-    console.log(`LLM logging proxy listening on http://localhost:${port}`);
-    if (port !== PORT) {
-      console.log(`[port] ${PORT} was busy, auto-switched to ${port}`);
+  function matchesSearch(request, response, f) {
+    const ref = request || response;
+    if (f.from && !(ref.ts >= f.from)) return false;
+    if (f.to && !(ref.ts <= f.to)) return false;
+    if (f.route && !String(ref.route || '').toLowerCase().includes(String(f.route).toLowerCase())) return false;
+    if (f.model) {
+      const models = [request && request.model, response && response.model, response && response.model_version];
+      if (!models.includes(f.model)) return false;
     }
-    console.log(`Upstream base: ${API_BASE}`);
-    console.log(`Logging to: ${LOG_FILE}`);
-  });
-  server.on('error', (err) => {
-    if (err && err.code === 'EADDRINUSE' && AUTO_PORT && triesLeft > 0) {
-      const nextPort = port + 1;
-      console.warn(`[server] Port ${port} in use. Retrying on ${nextPort}...`);
-      setTimeout(() => startListening(nextPort, triesLeft - 1), 150);
-      return;
+    if (f.status && !(response && matchesStatus(response.status, f.status))) return false;
+    if (f.finishReason) {
+      const reasons = [response && response.finish_reason, response && response.prompt_feedback && response.prompt_feedback.blockReason];
+      if (!reasons.some((r) => String(r || '').toUpperCase() === f.finishReason)) return false;
     }
-    console.error('[server] error:', err);
-    process.exit(1);
-  });
+    if (f.functionName) {
+      const calls = response && Array.isArray(response.tool_calls) ? response.tool_calls : [];
+      if (!calls.some((c) => String(c.name || '').toLowerCase() === f.functionName)) return false;
+    }
+    if (!inRange(response ? Number(response.duration_ms) : NaN, f.minLatency, f.maxLatency)) return false;
+    const total = response && response.usage ? Number(response.usage.totalTokenCount) : NaN;
+    if (!inRange(total, f.minTokens, f.maxTokens)) return false;
+    if (f.terms.length) {
+      const text = exchangeSearchText(request, response);
+      if (!f.terms.every((t) => text.includes(t))) return false;
+    }
+    return true;
+  }
+
+  async function searchLogs(query) {
+    const filters = normalizeSearchQuery(query);
+    const limit = Math.min(Math.max(1, Number(query.limit) || 50), MAX_LOG_LIMIT);
+    const segments = await listLogSegments();
+    const start = decodeLogCursor(query.cursor, segments);
+    let index = segments.length - 1;
+    if (start) {
+      index = segments.indexOf(start.segment);
+      if (index === -1) index = segments.filter((s) => s !== LIVE_SEGMENT && compareSegmentNames(s, start.segment) < 0).length - 1;
+    }
+    // id -> { entry, segment, offset } for responses seen before (i.e. after, in time) their request
+    const pending = new Map();
+    const inflated = new Map(); // several pending responses may sit in the same gzipped segment
+    for (const { segment, offset } of start ? start.pending : []) {
+      if (!segments.includes(segment)) continue;
+      const entry = await readLogLineAt(segment, offset, inflated);
+      if (entry && entry.type === 'response' && entry.id) pending.set(entry.id, { entry, segment, offset });
+    }
+    const results = [];
+    let nextCursor = null;
+    const consider = (request, response) => {
+      if (matchesSearch(request, response, filters)) results.push({ id: (request || response).id, request, response });
+    };
+    scan: for (let i = index; i >= 0; i--) {
+      const segment = segments[i];
+      const end = start && segment === start.segment ? start.offset : undefined;
+      for await (const { text, offset } of readSegmentLinesBackward(segment, end)) {
+        const entry = parseLogLine(text);
+        if (filters.from && entry.ts && entry.ts < filters.from) break scan;
+        if (entry.type === 'response' && entry.id) {
+          pending.set(entry.id, { entry, segment, offset });
+        } else if (entry.type === 'request' && entry.id) {
+          const seen = pending.get(entry.id);
+          pending.delete(entry.id);
+          consider(entry, seen && seen.entry);
+        }
+        if (results.length >= limit) {
+          // Responses still waiting for their request go to the next page with the cursor
+          const p = Array.from(pending.values(), (r) => logPosition(r.segment, r.offset));
+          nextCursor = encodeLogCursor(segment, offset, p.length ? { p } : undefined);
+          pending.clear();
+          break scan;
+        }
+      }
+    }
+    // Responses whose request was rotated away or is older than `from`
+    for (const { entry } of pending.values()) consider(null, entry);
+    results.sort((a, b) => String((a.request || a.response).ts).localeCompare(String((b.request || b.response).ts)));
+    const entries = [];
+    for (const r of results) {
+      if (r.request) entries.push(redactEntry(r.request));
+      if (r.response) entries.push(redactEntry(r.response));
+    }
+    return { entries, matchedIds: results.map((r) => r.id), terms: filters.terms, nextCursor };
+  }
+
+  // Newest-first walk over every segment, stopping whenever the caller breaks out
+  async function* readLogBackward() {
+    const segments = await listLogSegments();
+    for (let i = segments.length - 1; i >= 0; i--) {
+      for await (const { text } of readSegmentLinesBackward(segments[i])) yield parseLogLine(text);
+    }
+  }
+
+  // id -> { request, response } for the given exchange ids. Requests are written before
+  // their responses, so the scan can stop once every request has been seen.
+  async function findExchanges(ids) {
+    const found = new Map(ids.map((id) => [id, {}]));
+    for await (const entry of readLogBackward()) {
+      const exchange = found.get(entry.id);
+      if (!exchange || (entry.type !== 'request' && entry.type !== 'response')) continue;
+      if (!exchange[entry.type]) exchange[entry.type] = entry;
+      if (Array.from(found.values()).every((e) => e.request)) break;
+    }
+    return found;
+  }
+
+  // The nearest earlier request of the same conversation
+  async function findPreviousTurn(request) {
+    if (!request.conversationId) return null;
+    for await (const entry of readLogBackward()) {
+      if (entry.type !== 'request' || entry.conversationId !== request.conversationId || entry.id === request.id) continue;
+      if (entry.ts <= request.ts && (entry.turn || 0) < (request.turn || 0)) return entry;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Exchange diff (/logs/diff). Request bodies are compared per field
+  // (contents, systemInstruction, tools, generationConfig, then the rest) and
+  // responses on their extracted fields, with diffJson changes. Long string
+  // changes also get a token-level textDiff: [{ op: 'equal'|'add'|'remove', text }].
+  // ---------------------------------------------------------------------------
+  const DIFF_REQUEST_FIELDS = ['contents', 'systemInstruction', 'tools', 'generationConfig'];
+  const DIFF_RESPONSE_FIELDS = ['status', 'content', 'thoughts', 'tool_calls', 'code_execution', 'finish_reason', 'safety_ratings', 'usage', 'model_version'];
+  const TEXT_DIFF_MIN_LENGTH = 80;
+  const TEXT_DIFF_MAX_CELLS = 4_000_000;
+
+  // LCS over tokens, after trimming the common prefix/suffix (consecutive turns mostly share both)
+  function diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    if ((midA.length + 1) * (midB.length + 1) > TEXT_DIFF_MAX_CELLS) return null;
+
+    const ops = [];
+    const push = (op, text) => {
+      if (!text) return;
+      const last = ops[ops.length - 1];
+      if (last && last.op === op) last.text += text;
+      else ops.push({ op, text });
+    };
+    push('equal', a.slice(0, start).join(''));
+    const n = midA.length;
+    const m = midB.length;
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) { push('equal', midA[i]); i++; j++; }
+      else if (i < n && (j >= m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) { push('remove', midA[i]); i++; }
+      else { push('add', midB[j]); j++; }
+    }
+    push('equal', a.slice(endA).join(''));
+    return ops;
+  }
+
+  // Word-level diff, falling back to lines when the texts are too large for word tokens
+  function textDiff(before, after) {
+    const words = (s) => s.match(/\s+|\w+|[^\s\w]/g) || [];
+    const lines = (s) => s.match(/[^\n]*\n|[^\n]+$/g) || [];
+    return diffTokens(words(before), words(after)) || diffTokens(lines(before), lines(after));
+  }
+
+  function withTextDiffs(changes) {
+    for (const change of changes) {
+      if (change.op !== 'replace' || typeof change.from !== 'string' || typeof change.to !== 'string') continue;
+      if (Math.max(change.from.length, change.to.length) < TEXT_DIFF_MIN_LENGTH && !/\n/.test(change.from + change.to)) continue;
+      const ops = textDiff(change.from, change.to);
+      if (ops) change.textDiff = ops;
+    }
+    return changes;
+  }
+
+  function diffFields(a, b, fields) {
+    const out = {};
+    for (const field of fields) {
+      const changes = withTextDiffs(diffJson(a ? a[field] : undefined, b ? b[field] : undefined, field));
+      if (changes.length) out[field] = changes;
+    }
+    return out;
+  }
+
+  function exchangeSummary(id, exchange) {
+    const ref = exchange.request || exchange.response || {};
+    return {
+      id,
+      ts: ref.ts,
+      route: ref.route,
+      ...(ref.model ? { model: ref.model } : {}),
+      ...(ref.conversationId ? { conversationId: ref.conversationId, turn: ref.turn } : {}),
+      ...(exchange.response ? { status: exchange.response.status } : {}),
+    };
+  }
+
+  // Without `b`, `a` is compared with the previous turn of its conversation
+  async function diffLogExchanges(a, b) {
+    if (!a) throw Object.assign(new Error('Missing "a" entry id'), { status: 400 });
+    let exchanges = await findExchanges(b ? [a, b] : [a]);
+    const exA = exchanges.get(a);
+    if (!exA.request && !exA.response) throw Object.assign(new Error(`No log entry with id ${a}`), { status: 404 });
+    if (!b) {
+      const previous = exA.request ? await findPreviousTurn(exA.request) : null;
+      if (!previous) throw Object.assign(new Error(`No previous turn for ${a}`), { status: 404 });
+      b = a;
+      a = previous.id;
+      exchanges = await findExchanges([a, b]);
+    }
+    const exB = exchanges.get(b);
+    if (!exB.request && !exB.response) throw Object.assign(new Error(`No log entry with id ${b}`), { status: 404 });
+
+    const [reqA, resA, reqB, resB] = [exchanges.get(a).request, exchanges.get(a).response, exB.request, exB.response]
+      .map((e) => (e ? redactEntry(e) : undefined));
+    const bodyA = reqA && reqA.body && typeof reqA.body === 'object' ? reqA.body : {};
+    const bodyB = reqB && reqB.body && typeof reqB.body === 'object' ? reqB.body : {};
+    const otherFields = Array.from(new Set([...Object.keys(bodyA), ...Object.keys(bodyB)]))
+      .filter((k) => !DIFF_REQUEST_FIELDS.includes(k));
+    const request = {
+      ...diffFields(reqA, reqB, ['route', 'method']),
+      ...diffFields(bodyA, bodyB, [...DIFF_REQUEST_FIELDS, ...otherFields]),
+    };
+    const response = diffFields(resA, resB, DIFF_RESPONSE_FIELDS);
+    return {
+      a: exchangeSummary(a, exchanges.get(a)),
+      b: exchangeSummary(b, exB),
+      identical: !Object.keys(request).length && !Object.keys(response).length,
+      request,
+      response,
+    };
+  }
+
+  // Oldest-first streaming walk over every segment (for aggregations such as /stats)
+  async function forEachLogEntry(fn) {
+    for (const segment of await listLogSegments()) {
+      const file = path.join(LOG_DIR, segment);
+      if (!fs.existsSync(file)) continue;
+      const source = fs.createReadStream(file);
+      const input = segment.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+      const rl = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (line.trim()) fn(parseLogLine(line));
+      }
+    }
+  }
+
+  function logRequest(id, route, body, upstreamUrl, method = 'POST', extra = {}) {
+    const model = modelFromRoute(route);
+    const entry = {
+      ts: new Date().toISOString(),
+      id,
+      type: 'request',
+      method,
+      route,
+      ...(model ? { model } : {}),
+      ...(upstreamUrl ? { target: upstreamUrl } : {}),
+      ...extra,
+      ...(body !== undefined ? { body } : {}),
+    };
+    appendLogEntry(entry);
+    logger.log(`\n=== ${method} ${redactQueryParams(route)} @ ${entry.ts} ===`);
+    if (upstreamUrl) {
+      logger.log(`[target] ${redactQueryParams(upstreamUrl)}`);
+    }
+    if (body !== undefined) logger.log(JSON.stringify(redactValue(body), null, 2));
+  }
+
+  function logResponseFull(id, route, status, headers, bodyText, summaryText, extra = {}) {
+    // Extract tool calls for better human readability in logs
+    const toolCalls = extractToolCalls(bodyText, headers);
+    // Gemini-specific details (thoughts, code execution, finish reason, safety, usage)
+    const geminiFields = extractGeminiFields(bodyText, headers);
+    const model = modelFromRoute(route);
+    // Try to parse body as JSON for structured logging
+    let parsedBody = null;
+    if (LOG_RAW_BODY) {
+      try {
+        parsedBody = JSON.parse(bodyText);
+      } catch (_) {
+        // keep as text if not JSON
+      }
+    }
+    const entry = {
+      ts: new Date().toISOString(),
+      id,
+      type: 'response',
+      route,
+      ...(model ? { model } : {}),
+      status,
+      ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+      ...geminiFields,
+      ...(LOG_RAW_BODY ? { body: parsedBody ?? bodyText } : {}),
+      content: summaryText,
+      ...extra,
+    };
+    appendLogEntry(entry, 'Failed to write response log:');
+    limits.chargeTokens(entry);
+    metrics.observeResponseMetrics(entry);
+  }
+
+
+  //streamGenerateContent
+
+  // ---------------------------------------------------------------------------
+  // Usage and cost accounting (/stats)
+  // ---------------------------------------------------------------------------
+
+  // Sessions: an explicit SESSION_HEADER wins; otherwise one client (IP + user agent)
+  // keeps the same session id until it has been idle for SESSION_IDLE_MINUTES
+  const sessionsByClient = new Map();
+
+  function resolveSession(req) {
+    const explicit = req.headers[SESSION_HEADER];
+    if (explicit) return String(explicit);
+    const clientKey = `${req.ip} ${req.headers['user-agent'] || ''}`;
+    const now = Date.now();
+    const current = sessionsByClient.get(clientKey);
+    if (current && now - current.lastSeen < SESSION_IDLE_MINUTES * 60 * 1000) {
+      current.lastSeen = now;
+      return current.id;
+    }
+    const stamp = new Date(now).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const id = `s-${stamp}-${crypto.createHash('sha1').update(clientKey).digest('hex').slice(0, 6)}`;
+    sessionsByClient.set(clientKey, { id, lastSeen: now });
+    return id;
+  }
+
+  // USD per 1M tokens. Estimates only (standard tier, short prompts); override in PRICES_FILE.
+  const DEFAULT_PRICES = {
+    'gemini-2.5-pro': { input: 1.25, output: 10, cachedInput: 0.31 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cachedInput: 0.075 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.3, cachedInput: 0.01875 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+  };
+
+  function loadPrices(file) {
+    const prices = { ...DEFAULT_PRICES };
+    if (!fs.existsSync(file)) return prices;
+    try {
+      Object.assign(prices, JSON.parse(fs.readFileSync(file, 'utf8')));
+      logger.log(`[stats] Loaded prices from ${file}`);
+    } catch (err) {
+      logger.error(`[stats] Failed to load ${file}, using default prices:`, err.message);
+    }
+    return prices;
+  }
+
+  const PRICES = loadPrices(PRICES_FILE);
+
+  // Exact model name first, then the longest configured prefix ("gemini-2.5-pro-preview-06-05" -> "gemini-2.5-pro")
+  function pricedModelName(model) {
+    if (!model) return null;
+    if (PRICES[model]) return model;
+    let best = null;
+    for (const name of Object.keys(PRICES)) {
+      if (model.startsWith(name) && (!best || name.length > best.length)) best = name;
+    }
+    return best;
+  }
+
+  function priceForModel(model) {
+    const name = pricedModelName(model);
+    return name ? PRICES[name] : null;
+  }
+
+  function usageTokens(usage) {
+    const u = usage || {};
+    const n = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+    return {
+      promptTokens: n(u.promptTokenCount) + n(u.toolUsePromptTokenCount),
+      candidatesTokens: n(u.candidatesTokenCount),
+      cachedTokens: n(u.cachedContentTokenCount),
+      thoughtsTokens: n(u.thoughtsTokenCount),
+      totalTokens: n(u.totalTokenCount),
+    };
+  }
+
+  // Cached prompt tokens are billed at the cached rate; thoughts are billed as output
+  function estimateCost(model, tokens) {
+    const price = priceForModel(model);
+    if (!price) return null;
+    const input = Number(price.input) || 0;
+    const output = Number(price.output) || 0;
+    const cachedInput = price.cachedInput !== undefined ? Number(price.cachedInput) || 0 : input;
+    const uncached = Math.max(0, tokens.promptTokens - tokens.cachedTokens);
+    return (uncached * input + tokens.cachedTokens * cachedInput + (tokens.candidatesTokens + tokens.thoughtsTokens) * output) / 1e6;
+  }
+
+  function emptyUsageBucket() {
+    return { requests: 0, promptTokens: 0, candidatesTokens: 0, cachedTokens: 0, thoughtsTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0 };
+  }
+
+  function addToBucket(map, key, tokens, cost, ts) {
+    const bucket = map[key] || (map[key] = emptyUsageBucket());
+    bucket.requests += 1;
+    for (const k of ['promptTokens', 'candidatesTokens', 'cachedTokens', 'thoughtsTokens', 'totalTokens']) bucket[k] += tokens[k];
+    if (cost === null) bucket.unpricedRequests += 1;
+    else bucket.cost += cost;
+    if (ts) {
+      if (!bucket.firstTs || ts < bucket.firstTs) bucket.firstTs = ts;
+      if (!bucket.lastTs || ts > bucket.lastTs) bucket.lastTs = ts;
+    }
+    return bucket;
+  }
+
+  // Aggregate usage of response entries; sessions come from the paired request entry (same id)
+  function computeUsageStats(entries, { from, to } = {}) {
+    const sessionById = new Map();
+    for (const e of entries) {
+      if (e && e.type === 'request' && e.id && e.session) sessionById.set(e.id, e.session);
+    }
+    const stats = { totals: emptyUsageBucket(), byModel: {}, byRoute: {}, byDay: {}, bySession: {}, byConversation: {}, byClient: {}, cache: { hits: 0, savedCost: 0 } };
+    for (const e of entries) {
+      if (!e || e.type !== 'response' || !e.usage) continue;
+      if (from && e.ts < from) continue;
+      if (to && e.ts > to) continue;
+      const model = e.model || e.model_version || modelFromRoute(e.route) || 'unknown';
+      const tokens = usageTokens(e.usage);
+      const cost = estimateCost(model, tokens);
+      // Cache hits never reached the upstream: counted as savings, not usage
+      if (e.cache === 'HIT') {
+        stats.cache.hits += 1;
+        stats.cache.savedCost += cost || 0;
+        continue;
+      }
+      const route = String(e.route || '').split('?')[0] || 'unknown';
+      const day = String(e.ts || '').slice(0, 10) || 'unknown';
+      const session = sessionById.get(e.id) || 'unknown';
+      addToBucket(stats, 'totals', tokens, cost, e.ts);
+      addToBucket(stats.byModel, model, tokens, cost, e.ts);
+      addToBucket(stats.byRoute, route, tokens, cost, e.ts);
+      addToBucket(stats.byDay, day, tokens, cost, e.ts);
+      addToBucket(stats.bySession, session, tokens, cost, e.ts);
+      if (e.conversationId) addToBucket(stats.byConversation, e.conversationId, tokens, cost, e.ts);
+      if (e.client) addToBucket(stats.byClient, e.client, tokens, cost, e.ts);
+    }
+    return stats;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conversation threading. Gemini CLI resends the whole `contents` history on
+  // every turn, so a request belongs to the conversation whose earlier request
+  // `contents` is the longest prefix of its own. Each request registers a hash
+  // of its full `contents`; side calls (next-speaker checks, countTokens) share
+  // the prefix without breaking the main thread. Without a prefix match, an
+  // explicit SESSION_HEADER falls back to that session's last conversation.
+  // ---------------------------------------------------------------------------
+  const MAX_TRACKED_PREFIXES = 5000;
+  const conversationByPrefix = new Map(); // prefix hash -> { id, turns }
+  const conversationBySession = new Map(); // explicit session header -> conversation
+
+  function prefixHashes(contents) {
+    const hashes = [];
+    let prev = '';
+    for (const message of contents) {
+      prev = crypto.createHash('sha1').update(prev).update(canonicalJson(message)).digest('hex');
+      hashes.push(prev);
+    }
+    return hashes;
+  }
+
+  function newConversationId() {
+    return 'c-' + ((crypto.randomUUID && typeof crypto.randomUUID === 'function')
+      ? crypto.randomUUID().slice(0, 8)
+      : Math.random().toString(36).slice(2, 10));
+  }
+
+  // Returns { conversationId, turn, newFrom } for requests with a `contents` array, else {}.
+  // `newFrom` is the index of the first message not seen in the matched earlier request.
+  function threadConversation(req, body) {
+    const contents = body && Array.isArray(body.contents) ? body.contents : null;
+    if (!contents || !contents.length) return {};
+    const hashes = prefixHashes(contents);
+    let conversation = null;
+    let newFrom = 0;
+    for (let i = hashes.length - 1; i >= 0; i--) {
+      const found = conversationByPrefix.get(hashes[i]);
+      if (found) { conversation = found; newFrom = i + 1; break; }
+    }
+    const explicitSession = req.headers[SESSION_HEADER] ? String(req.headers[SESSION_HEADER]) : '';
+    if (!conversation && explicitSession) conversation = conversationBySession.get(explicitSession) || null;
+    if (!conversation) conversation = { id: newConversationId(), turns: 0 };
+    conversation.turns += 1;
+    if (explicitSession) conversationBySession.set(explicitSession, conversation);
+
+    const full = hashes[hashes.length - 1];
+    conversationByPrefix.delete(full); // re-insert so Map order stays least-recently-used first
+    conversationByPrefix.set(full, conversation);
+    while (conversationByPrefix.size > MAX_TRACKED_PREFIXES) {
+      conversationByPrefix.delete(conversationByPrefix.keys().next().value);
+    }
+    return { conversationId: conversation.id, turn: conversation.turns, newFrom };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Record / replay. A cassette is any NDJSON log written by this proxy: request
+  // and response entries are paired by `id`. With RECORD=true response entries
+  // also carry `recording: { contentType, chunks: [{ at, data, encoding? }] }`
+  // so streams can be re-emitted with their original chunking and timing.
+  // ---------------------------------------------------------------------------
+
+  // Stable JSON: object keys sorted so key order never affects the hash
+  function canonicalJson(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().map((k) => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  // Leaf-level changes from `before` to `after` (replay misses, plugin modifications, /logs/diff): [{ path, op: 'add'|'remove'|'replace', from?, to? }]
+  function diffJson(before, after, p = '', out = []) {
+    const bObj = before && typeof before === 'object';
+    const aObj = after && typeof after === 'object';
+    if (bObj && aObj && Array.isArray(before) === Array.isArray(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const k of keys) {
+        const sub = Array.isArray(before) ? `${p}[${k}]` : (p ? `${p}.${k}` : k);
+        diffJson(before[k], after[k], sub, out);
+      }
+      return out;
+    }
+    if (canonicalJson(before) === canonicalJson(after)) return out;
+    const at = p || '(root)';
+    if (before === undefined) out.push({ path: at, op: 'add', to: after });
+    else if (after === undefined) out.push({ path: at, op: 'remove', from: before });
+    else out.push({ path: at, op: 'replace', from: before, to: after });
+    return out;
+  }
+
+  // Route without credential params and with the remaining params sorted
+  function normalizeRouteForMatch(route) {
+    const [pathname, query = ''] = String(route || '').split('?');
+    const params = new URLSearchParams(query);
+    const kept = [];
+    for (const [k, v] of params) {
+      if (!REDACT_RULES.queryParams.has(k)) kept.push([k, v]);
+    }
+    kept.sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])));
+    const qs = new URLSearchParams(kept).toString();
+    return qs ? `${pathname}?${qs}` : pathname;
+  }
+
+  // Live bodies are redacted exactly like logged ones, then ignored fields are dropped,
+  // so a live request and its (redacted) recording normalize to the same value
+  function normalizeBodyForMatch(body) {
+    if (body === undefined) return null;
+    const copy = redactValue(body);
+    if (!copy || typeof copy !== 'object') return copy;
+    for (const field of REPLAY_IGNORE_FIELDS) {
+      const segments = parseRedactPath(field);
+      const last = segments.pop();
+      const strip = (obj) => {
+        if (!obj || typeof obj !== 'object') return;
+        if (last === '*') Object.keys(obj).forEach((k) => delete obj[k]);
+        else delete obj[last];
+      };
+      if (!segments.length) strip(copy);
+      else applyAtPath(copy, segments, (v) => { strip(v); return v; });
+    }
+    return copy;
+  }
+
+  function replayMatchKey(method, route, body) {
+    const hash = crypto.createHash('sha256').update(canonicalJson(normalizeBodyForMatch(body))).digest('hex');
+    return `${String(method || 'POST').toUpperCase()} ${normalizeRouteForMatch(route)} ${hash}`;
+  }
+
+  function loadCassette(file) {
+    const cassette = { byKey: new Map(), cursors: new Map(), all: [] };
+    if (!file) return cassette;
+    let data = '';
+    try {
+      data = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      logger.error(`[replay] Cannot read cassette ${file}:`, err.message);
+      return cassette;
+    }
+    const requests = new Map();
+    const responses = new Map();
+    for (const line of data.split(/\r?\n/)) {
+      if (!line) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch (_) { continue; }
+      if (!entry || !entry.id) continue;
+      if (entry.type === 'request' && !requests.has(entry.id)) requests.set(entry.id, entry);
+      else if (entry.type === 'response') responses.set(entry.id, entry);
+    }
+    for (const [id, request] of requests) {
+      const response = responses.get(id);
+      if (!response) continue;
+      const method = request.method || 'POST';
+      const key = replayMatchKey(method, request.route, request.body);
+      const recording = { id, key, method, route: normalizeRouteForMatch(request.route), body: request.body, response };
+      if (!cassette.byKey.has(key)) cassette.byKey.set(key, []);
+      cassette.byKey.get(key).push(recording);
+      cassette.all.push(recording);
+    }
+    logger.log(`[replay] Loaded ${cassette.all.length} recorded exchanges from ${file}`);
+    return cassette;
+  }
+
+  const CASSETTE = REPLAY_CASSETTE ? loadCassette(REPLAY_CASSETTE) : null;
+
+  // Identical requests are served in recorded order; the last recording is reused once exhausted
+  function findRecording(method, route, body) {
+    const key = replayMatchKey(method, route, body);
+    const list = CASSETTE.byKey.get(key);
+    if (!list || !list.length) return null;
+    const cursor = CASSETTE.cursors.get(key) || 0;
+    CASSETTE.cursors.set(key, cursor + 1);
+    return list[Math.min(cursor, list.length - 1)];
+  }
+
+  const REPLAY_MISS_DIFF_LIMIT = 50;
+
+  function truncateForDiff(value) {
+    if (typeof value === 'string' && value.length > 200) return value.slice(0, 200) + `... (${value.length} chars)`;
+    if (value && typeof value === 'object') {
+      const str = JSON.stringify(value);
+      return str.length > 200 ? str.slice(0, 200) + '...' : value;
+    }
+    return value;
+  }
+
+  // diffJson change with long values cut down, from the recording to the received request
+  function truncateChangeForReport(change) {
+    return {
+      path: change.path,
+      op: change.op,
+      ...('from' in change ? { from: truncateForDiff(change.from) } : {}),
+      ...('to' in change ? { to: truncateForDiff(change.to) } : {}),
+    };
+  }
+
+  // Strict-mode miss report: the closest recording on the same method + route, diffed against the request
+  function describeReplayMiss(method, route, body) {
+    const normRoute = normalizeRouteForMatch(route);
+    const m = String(method || 'POST').toUpperCase();
+    const candidates = CASSETTE.all.filter((r) => r.method.toUpperCase() === m && r.route === normRoute);
+    let closest = null;
+    let closestDiff = null;
+    for (const rec of candidates) {
+      const diff = diffJson(normalizeBodyForMatch(rec.body), normalizeBodyForMatch(body));
+      if (!closestDiff || diff.length < closestDiff.length) { closest = rec; closestDiff = diff; }
+    }
+    return {
+      error: {
+        code: 500,
+        status: 'REPLAY_NO_MATCH',
+        message: `No recording in ${REPLAY_CASSETTE} matches ${m} ${normRoute}`,
+      },
+      recordingsForRoute: candidates.length,
+      ...(closest ? { closest: closest.id, diff: closestDiff.slice(0, REPLAY_MISS_DIFF_LIMIT).map(truncateChangeForReport) } : {}),
+    };
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Build a fetch Response from a recording so the normal response path (streaming, logging) is reused
+  function buildReplayResponse(recording) {
+    const resp = recording.response;
+    const rec = resp.recording;
+    const contentType = (rec && rec.contentType) || 'application/json; charset=utf-8';
+    let chunks;
+    if (rec && Array.isArray(rec.chunks)) {
+      chunks = rec.chunks;
+    } else {
+      // Entry logged without RECORD: replay the logged body in one piece
+      const body = resp.body === undefined ? '' : (typeof resp.body === 'string' ? resp.body : JSON.stringify(resp.body));
+      chunks = [{ at: 0, data: body }];
+    }
+    const headers = { 'content-type': contentType, 'x-proxy-replay': recording.id };
+    return responseFromChunks(resp.status || 200, headers, chunks, REPLAY_SPEED);
+  }
+
+  // Response whose body re-emits timed chunks ({ at, data, encoding? }); speed 0 sends them back to back
+  function responseFromChunks(status, headers, chunks, speed) {
+    if ([101, 204, 205, 304].includes(status)) return new Response(null, { status, headers });
+
+    let index = 0;
+    let lastAt = 0;
+    const stream = new ReadableStream({
+      async pull(controller) {
+        if (index >= chunks.length) { controller.close(); return; }
+        const chunk = chunks[index++];
+        const at = Number(chunk.at) || 0;
+        const wait = speed > 0 ? (at - lastAt) / speed : 0;
+        lastAt = at;
+        if (wait > 0) await sleep(wait);
+        controller.enqueue(Buffer.from(String(chunk.data || ''), chunk.encoding === 'base64' ? 'base64' : 'utf8'));
+      },
+    });
+    return new Response(stream, { status, headers });
+  }
+
+  // Returns { response, replayId } when replay mode handles the request, null to go upstream
+  function replayFromCassette(method, route, body) {
+    if (!CASSETTE) return null;
+    const recording = findRecording(method, route, body);
+    if (recording) {
+      logger.log(`[replay] ${method} ${normalizeRouteForMatch(route)} -> recording ${recording.id}`);
+      return { response: buildReplayResponse(recording), replayId: recording.id };
+    }
+    if (!REPLAY_STRICT) {
+      logger.log(`[replay] No recording for ${method} ${normalizeRouteForMatch(route)}, forwarding upstream`);
+      return null;
+    }
+    const miss = describeReplayMiss(method, route, body);
+    logger.warn(`[replay] Strict miss: ${miss.error.message}`);
+    return {
+      response: new Response(JSON.stringify(miss, null, 2), {
+        status: 500,
+        headers: { 'content-type': 'application/json; charset=utf-8' },
+      }),
+      replayId: null,
+    };
+  }
+
+  // Response cache (see response-cache.js)
+  const responseCache = createResponseCache(app, { normalizeRouteForMatch, canonicalJson, responseFromChunks, isTextualContentType });
+  app.locals.responseCache = responseCache;
+
+  // ---------------------------------------------------------------------------
+  // Rewrite plugins. Each module in PLUGINS may export onRequest(ctx),
+  // onResponse(ctx) and onStreamChunk(ctx); hooks run in order, may be async,
+  // and change the request/response by mutating ctx or returning the fields to
+  // replace. Every change is logged on the entry as a diff against the original.
+  // ---------------------------------------------------------------------------
+  function loadPlugins(specs) {
+    const plugins = [];
+    for (const spec of specs) {
+      try {
+        const resolved = path.resolve(spec);
+        const mod = require(fs.existsSync(resolved) ? resolved : spec);
+        const plugin = (mod && mod.default) || mod;
+        const name = plugin.name && typeof plugin.name === 'string' ? plugin.name : path.basename(spec, '.js');
+        const hooks = ['onRequest', 'onResponse', 'onStreamChunk'].filter((h) => typeof plugin[h] === 'function');
+        if (!hooks.length) {
+          logger.warn(`[plugins] ${spec} exports no hooks, ignored`);
+          continue;
+        }
+        plugins.push({ name, onRequest: plugin.onRequest, onResponse: plugin.onResponse, onStreamChunk: plugin.onStreamChunk });
+        logger.log(`[plugins] Loaded ${name} (${hooks.join(', ')})`);
+      } catch (err) {
+        logger.error(`[plugins] Failed to load ${spec}:`, err.message);
+      }
+    }
+    return plugins;
+  }
+
+  const PLUGINS = loadPlugins(PLUGIN_SPECS);
+
+  function hasHook(hook) {
+    return PLUGINS.some((p) => typeof p[hook] === 'function');
+  }
+
+  // Copy of the hook-editable fields; header values go through redactHeaders so keys never reach the diff
+  function hookSnapshot(ctx, fields) {
+    const snap = {};
+    for (const f of fields) {
+      if (ctx[f] === undefined) continue;
+      snap[f] = structuredClone(f === 'headers' ? redactHeaders(ctx[f]) : ctx[f]);
+    }
+    return snap;
+  }
+
+  // Runs `hook` of every plugin on ctx; returns the modifications to log ([] when nothing changed)
+  async function runPluginHook(hook, ctx, fields) {
+    const modifications = [];
+    for (const plugin of PLUGINS) {
+      if (typeof plugin[hook] !== 'function') continue;
+      const before = hookSnapshot(ctx, fields);
+      const saved = {};
+      fields.forEach((f) => { if (ctx[f] !== undefined) saved[f] = structuredClone(ctx[f]); });
+      try {
+        const returned = await plugin[hook](ctx);
+        if (returned && typeof returned === 'object' && returned !== ctx) {
+          fields.forEach((f) => { if (f in returned) ctx[f] = returned[f]; });
+        }
+      } catch (err) {
+        // A failing plugin must not half-apply its edits
+        logger.error(`[plugins] ${plugin.name}.${hook} failed:`, err);
+        fields.forEach((f) => { ctx[f] = saved[f]; });
+        modifications.push({ plugin: plugin.name, hook, error: err.message });
+        continue;
+      }
+      const changes = diffJson(before, hookSnapshot(ctx, fields));
+      if (changes.length) modifications.push({ plugin: plugin.name, hook, changes });
+    }
+    return modifications;
+  }
+
+  // Splits decoded stream text into complete SSE events ("...\n\n"); the remainder waits for the next chunk
+  function takeSseEvents(buffer) {
+    const events = [];
+    const re = /\r?\n\r?\n/g;
+    let last = 0;
+    let m;
+    while ((m = re.exec(buffer))) {
+      events.push(buffer.slice(last, m.index + m[0].length));
+      last = m.index + m[0].length;
+    }
+    return { events, rest: buffer.slice(last) };
+  }
+
+  function sseEventData(eventText) {
+    const data = eventText.split(/\r?\n/).filter((l) => l.startsWith('data:')).map((l) => l.slice(5).trimStart()).join('\n');
+    if (!data) return undefined;
+    try { return JSON.parse(data); } catch (_) { return undefined; }
+  }
+
+  // Transform feeding onStreamChunk: one call per SSE event, or per decoded chunk for other streams.
+  // Hooks see { id, route, status, headers, seq, chunk, event } and may replace `chunk` (text sent
+  // to the client, '' drops it) or `event` (the parsed `data:` JSON of an SSE event).
+  function createStreamChunkHook(base, isSse, modifications) {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+    let seq = 0;
+    const apply = async (chunk) => {
+      seq += 1;
+      const event = isSse ? sseEventData(chunk) : undefined;
+      const ctx = { ...base, seq, chunk, ...(event !== undefined ? { event } : {}) };
+      const eventBefore = canonicalJson(event);
+      const mods = await runPluginHook('onStreamChunk', ctx, ['chunk', 'event']);
+      mods.forEach((m) => modifications.push({ seq, ...m }));
+      if (isSse && event !== undefined && canonicalJson(ctx.event) !== eventBefore && ctx.chunk === chunk) {
+        const ending = chunk.match(/\r?\n\r?\n$/);
+        return `data: ${JSON.stringify(ctx.event)}${ending ? ending[0] : '\r\n\r\n'}`;
+      }
+      return typeof ctx.chunk === 'string' ? ctx.chunk : chunk;
+    };
+    return new Transform({
+      async transform(buf, _enc, callback) {
+        try {
+          let out = '';
+          if (isSse) {
+            const { events, rest } = takeSseEvents(pending + decoder.write(buf));
+            pending = rest;
+            for (const ev of events) out += await apply(ev);
+          } else {
+            out = await apply(decoder.write(buf));
+          }
+          callback(null, out ? Buffer.from(out) : undefined);
+        } catch (err) {
+          callback(err);
+        }
+      },
+      async flush(callback) {
+        try {
+          const tail = pending + decoder.end();
+          callback(null, tail ? Buffer.from(await apply(tail)) : undefined);
+        } catch (err) {
+          callback(err);
+        }
+      },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // OpenAI-compatible front end (OPENAI_COMPAT=true). /v1/chat/completions and
+  // /v1/models are translated to Gemini generateContent / models calls (see
+  // openai-compat.js) and go through the normal pipeline, so entries log the
+  // Gemini exchange (with the original OpenAI request under `translatedFrom`).
+  // ---------------------------------------------------------------------------
+  const openai = createOpenAITranslator({ takeSseEvents, sseEventData });
+  app.locals.openai = openai;
+
+  async function handleOpenAIChatCompletions(req, res) {
+    let translated;
+    try {
+      translated = openai.openAIToGeminiRequest(req.body);
+    } catch (err) {
+      return res.status(err.status || 400).json(openAIError(err.status || 400, err.message));
+    }
+    const { model, stream, includeUsage } = translated;
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const translatedFrom = { format: 'openai', route: req.originalUrl, body: req.body };
+    useBearerAsGeminiKey(req);
+    req.url = `/${OPENAI_GEMINI_API_VERSION}/models/${encodeURIComponent(model)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`;
+    req.body = translated.body;
+    await proxyRequest(req, res, {
+      logExtra: { translatedFrom },
+      translate: {
+        body: (status, text) => {
+          if (status >= 400) return geminiErrorToOpenAI(status, text);
+          let json = null;
+          try { json = JSON.parse(text); } catch (_) {}
+          return openai.geminiToOpenAICompletion(json, { id, model });
+        },
+        stream: () => openai.createOpenAIChunkStream({ id, model, includeUsage }),
+        error: openAIError,
+      },
+    });
+  }
+
+  async function handleOpenAIModels(req, res) {
+    const model = req.params.model;
+    useBearerAsGeminiKey(req);
+    req.url = model
+      ? `/${OPENAI_GEMINI_API_VERSION}/models/${encodeURIComponent(model)}`
+      : `/${OPENAI_GEMINI_API_VERSION}/models?pageSize=1000`;
+    req.body = undefined;
+    await proxyRequest(req, res, {
+      logExtra: { translatedFrom: { format: 'openai', route: req.originalUrl } },
+      translate: {
+        body: (status, text) => {
+          if (status >= 400) return geminiErrorToOpenAI(status, text);
+          let json = {};
+          try { json = JSON.parse(text); } catch (_) {}
+          if (model) return geminiModelToOpenAI(json);
+          return { object: 'list', data: (Array.isArray(json.models) ? json.models : []).map(geminiModelToOpenAI) };
+        },
+        error: openAIError,
+      },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Proxy access tokens (AUTH_FILE). When the file exists, every request except
+  // /health and the dashboard page must present a client token, as
+  // `x-proxy-token`, `Authorization: Bearer <token>` or `?access_token=` (for
+  // EventSource and downloads). The token is stripped before anything is
+  // logged or forwarded. Log, stats and cache routes need `role: "admin"`.
+  // ---------------------------------------------------------------------------
+  const PROXY_TOKEN_HEADER = 'x-proxy-token';
+
+  function tokenDigest(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+  }
+
+  // null when AUTH_FILE is absent (open proxy); a broken file yields no clients, so everything is refused
+  function loadAuthClients(file) {
+    if (!fs.existsSync(file)) return null;
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      logger.error(`[auth] Failed to load ${file}, refusing every request:`, err.message);
+      return [];
+    }
+    const clients = [];
+    (Array.isArray(config) ? config : config.clients || []).forEach((c, i) => {
+      const token = c && typeof c.token === 'string' ? expandEnv(c.token, env) : '';
+      const hashed = c && typeof c.sha256 === 'string' ? Buffer.from(c.sha256, 'hex') : null;
+      if (!c || !c.name || (!token && !(hashed && hashed.length === 32))) {
+        logger.error(`[auth] Ignoring client #${i + 1}: needs "name" and a "token" or "sha256"`);
+        return;
+      }
+      clients.push({ name: String(c.name), role: c.role === 'admin' ? 'admin' : 'user', digest: token ? tokenDigest(token) : hashed });
+    });
+    logger.log(`[auth] Loaded ${clients.length} client token(s) from ${file}`);
+    return clients;
+  }
+
+  const AUTH_CLIENTS = loadAuthClients(AUTH_FILE);
+
+  function findAuthClient(token) {
+    const digest = tokenDigest(token);
+    return AUTH_CLIENTS.find((c) => crypto.timingSafeEqual(c.digest, digest)) || null;
+  }
+
+  // Removes the proxy token from the request wherever it was given. Authorization is only
+  // taken when x-proxy-token is absent, so OAuth clients can still send their upstream bearer.
+  function takeProxyToken(req) {
+    let token = null;
+    const qIndex = req.url.indexOf('?');
+    if (qIndex !== -1) {
+      const params = new URLSearchParams(req.url.slice(qIndex + 1));
+      if (params.has('access_token')) {
+        token = params.get('access_token');
+        params.delete('access_token');
+        const qs = params.toString();
+        req.url = req.url.slice(0, qIndex) + (qs ? `?${qs}` : '');
+      }
+    }
+    const header = req.headers[PROXY_TOKEN_HEADER];
+    if (header) {
+      delete req.headers[PROXY_TOKEN_HEADER];
+      return String(header);
+    }
+    const auth = req.headers.authorization;
+    if (!token && typeof auth === 'string' && /^Bearer\s+/i.test(auth)) {
+      delete req.headers.authorization;
+      return auth.replace(/^Bearer\s+/i, '').trim();
+    }
+    return token;
+  }
+
+  function sendAuthError(res, status, message) {
+    logger.warn(`[auth] ${status} ${message}`);
+    res.status(status).json({ error: { code: status, message, status: status === 401 ? 'UNAUTHENTICATED' : 'PERMISSION_DENIED' } });
+  }
+
+  function authenticateClient(req, res, next) {
+    if (!AUTH_CLIENTS) return next();
+    const token = takeProxyToken(req);
+    if (req.path === '/health' || req.path === '/logs') return next();
+    const client = token ? findAuthClient(token) : null;
+    if (!client) return sendAuthError(res, 401, token ? 'Invalid proxy token' : `Missing proxy token (${PROXY_TOKEN_HEADER} header or Authorization: Bearer)`);
+    req.proxyClient = client;
+    next();
+  }
+
+  // Mounted on the admin routes themselves, so it guards exactly what Express routes
+  // there (paths match case-insensitively and with a trailing slash)
+  function requireAdmin(req, res, next) {
+    if (!AUTH_CLIENTS || (req.proxyClient && req.proxyClient.role === 'admin')) return next();
+    return sendAuthError(res, 403, `Client "${req.proxyClient ? req.proxyClient.name : 'anonymous'}" is not allowed to read or delete logs`);
+  }
+
+  // Server-side upstream key, used when the client sent none of its own
+  // The API key or Authorization a request reaches the upstream with, '' when it has none
+  function upstreamCredential(url, headers) {
+    const found = Object.keys(headers)
+      .filter((k) => ['x-goog-api-key', 'authorization'].includes(k.toLowerCase()))
+      .map((k) => `${k.toLowerCase()}=${headers[k]}`);
+    try {
+      const key = new URL(url).searchParams.get('key');
+      if (key) found.push(`key=${key}`);
+    } catch (_) {}
+    return found.sort().join('\n');
+  }
+
+  function hasUpstreamCredentials(route, headers) {
+    if (Object.keys(headers).some((k) => ['x-goog-api-key', 'authorization'].includes(k.toLowerCase()))) return true;
+    const qIndex = route.indexOf('?');
+    return qIndex !== -1 && new URLSearchParams(route.slice(qIndex + 1)).has('key');
+  }
+
+  // Rate limits and token budgets (see limits.js)
+  const limits = createLimits(app, { readLogBackward, usageTokens });
+  app.locals.limits = limits;
+
+  // Upstream routing (see routing.js)
+  const upstreams = createUpstreamRouter(app);
+  app.locals.upstreams = upstreams;
+
+  // Timing and metrics (see metrics.js)
+  const metrics = createMetrics(app, { pricedModelName });
+  app.locals.metrics = metrics;
+
+  // ---------------------------------------------------------------------------
+  // Upstream resilience. Every target (API_BASE, then FALLBACK_API_BASES, then
+  // API_BASE with each of FALLBACK_API_KEYS) gets a time-to-headers timeout;
+  // non-streaming calls with a re-sendable body are retried with exponential
+  // backoff on 429/5xx and network errors, honouring Retry-After. Each failed
+  // attempt is logged as a `type: 'attempt'` entry sharing the request id.
+  // ---------------------------------------------------------------------------
+  const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+  // Longest matching route pattern wins, so "streamGenerateContent" beats "generateContent"
+  function timeoutForRoute(route) {
+    const lc = String(route || '').toLowerCase();
+    let best = null;
+    for (const rule of UPSTREAM_ROUTE_TIMEOUTS) {
+      if (lc.includes(rule.pattern) && (!best || rule.pattern.length > best.pattern.length)) best = rule;
+    }
+    return best ? best.ms : UPSTREAM_TIMEOUT_MS;
+  }
+
+  function isStreamingRoute(route) {
+    return /streamgeneratecontent/i.test(String(route || '')) || /[?&]alt=sse\b/i.test(String(route || ''));
+  }
+
+  // Retry-After (seconds or HTTP date), else Gemini's google.rpc.RetryInfo `retryDelay: "12s"`
+  function retryAfterMs(headers, bodyText) {
+    const header = headers && headers.get ? headers.get('retry-after') : null;
+    if (header) {
+      const secs = Number(header);
+      if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+      const date = Date.parse(header);
+      if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+    }
+    try {
+      const details = JSON.parse(bodyText).error.details || [];
+      for (const d of details) {
+        const m = d && typeof d.retryDelay === 'string' && d.retryDelay.match(/^([\d.]+)s$/);
+        if (m) return Math.round(Number(m[1]) * 1000);
+      }
+    } catch (_) {}
+    return null;
+  }
+
+  function backoffMs(tryNo) {
+    const base = RETRY_BASE_MS * 2 ** (tryNo - 1);
+    const jitter = base * 0.2 * Math.random();
+    return Math.min(RETRY_MAX_DELAY_MS, Math.round(base + jitter));
+  }
+
+  // Same request against another base and/or with another API key (query ?key= or x-goog-api-key)
+  function withApiKey(url, headers, key) {
+    const u = new URL(url);
+    const out = { ...headers };
+    if (u.searchParams.has('key')) {
+      u.searchParams.set('key', key);
+    } else {
+      Object.keys(out).forEach((k) => {
+        if (['x-goog-api-key', 'authorization'].includes(k.toLowerCase())) delete out[k];
+      });
+      out['x-goog-api-key'] = key;
+    }
+    return { url: u.toString(), headers: out };
+  }
+
+  // Fallback bases/keys only stand in for the default upstream; routed upstreams have their own credentials
+  function buildUpstreamTargets(upstreamUrl, headers, upstream) {
+    const targets = [{ url: upstreamUrl, headers, label: 'primary' }];
+    if (upstream !== upstreams.defaultUpstream) return targets;
+    const suffix = upstreamUrl.startsWith(API_BASE) ? upstreamUrl.slice(API_BASE.length) : null;
+    if (suffix !== null) {
+      FALLBACK_API_BASES.forEach((base, i) => targets.push({ url: base + suffix, headers, label: `base#${i + 1}` }));
+    }
+    FALLBACK_API_KEYS.forEach((key, i) => targets.push({ ...withApiKey(upstreamUrl, headers, key), label: `key#${i + 1}` }));
+    return targets;
+  }
+
+  function clientAbortedError() {
+    return Object.assign(new Error('Client closed the connection'), { status: 499, code: 'CLIENT_ABORTED' });
+  }
+
+  // init.signal: aborted when the client disconnects; it also cancels the body once the headers are in.
+  // untilBodyRead: the timeout also covers reading the body, for responses that get buffered (not SSE)
+  async function fetchUpstreamOnce(url, init, timeoutMs, { untilBodyRead = false } = {}) {
+    const controller = new AbortController();
+    let headersIn = false;
+    const timer = timeoutMs ? setTimeout(() => controller.abort(Object.assign(
+      new Error(headersIn ? `Upstream body not received within ${timeoutMs} ms` : `Upstream did not respond within ${timeoutMs} ms`),
+      { status: 504, code: 'UPSTREAM_TIMEOUT' },
+    )), timeoutMs) : null;
+    const clientSignal = init.signal;
+    if (clientSignal) {
+      if (clientSignal.aborted) controller.abort();
+      else clientSignal.addEventListener('abort', () => { clearTimeout(timer); controller.abort(); }, { once: true });
+    }
+    let resp;
+    try {
+      resp = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      clearTimeout(timer);
+      if (clientSignal && clientSignal.aborted) throw clientAbortedError();
+      if (timer && controller.signal.aborted) throw controller.signal.reason;
+      throw Object.assign(err, { status: err.status || 502 });
+    }
+    headersIn = true;
+    if (!timer) return resp;
+    if (!untilBodyRead || !resp.body || /text\/event-stream/i.test(resp.headers.get('content-type') || '')) {
+      clearTimeout(timer);
+      return resp;
+    }
+    // A body that stalls errors with the timeout once the timer fires; it is cleared when the body ends
+    const body = resp.body.pipeThrough(new TransformStream({ flush: () => clearTimeout(timer) }));
+    return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+  }
+
+  function logAttempt(reqId, route, attempt, target, upstream, outcome) {
+    appendLogEntry({
+      ts: new Date().toISOString(),
+      id: reqId,
+      type: 'attempt',
+      route,
+      attempt,
+      target: target.url,
+      upstream: upstream.name,
+      ...(target.label !== 'primary' ? { fallback: target.label } : {}),
+      ...outcome,
+    }, 'Failed to write attempt log:');
+  }
+
+  // Returns { upstreamResp, attempts, target }; throws the last network/timeout error when nothing answered
+  async function fetchUpstreamWithRetries(reqId, route, upstreamUrl, init, { resendable, upstream = upstreams.defaultUpstream, pinned = false }) {
+    const targets = resendable && !pinned ? buildUpstreamTargets(upstreamUrl, init.headers, upstream) : [{ url: upstreamUrl, headers: init.headers, label: 'primary' }];
+    const maxTries = resendable && !isStreamingRoute(route) ? RETRY_MAX + 1 : 1;
+    const timeoutMs = timeoutForRoute(route);
+    let attempt = 0;
+    for (let t = 0; t < targets.length; t++) {
+      const target = targets[t];
+      for (let tryNo = 1; tryNo <= maxTries; tryNo++) {
+        attempt += 1;
+        let resp = null;
+        let error = null;
+        try {
+          resp = await fetchUpstreamOnce(target.url, { ...init, headers: target.headers }, timeoutMs, { untilBodyRead: !isStreamingRoute(route) });
+        } catch (err) {
+          error = err;
+        }
+        // Nobody is waiting for the answer any more
+        if (error && error.code === 'CLIENT_ABORTED') throw error;
+        if (resp && !RETRYABLE_STATUSES.has(resp.status)) return { upstreamResp: resp, attempts: attempt, target };
+
+        // Failed attempt: buffer the error body so it can be logged and still be forwarded if it is the last one
+        let bodyText = '';
+        if (resp) {
+          bodyText = await resp.text().catch(() => '');
+          resp = new Response(bodyText, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+        }
+        const wait = resp ? (retryAfterMs(resp.headers, bodyText) ?? backoffMs(tryNo)) : backoffMs(tryNo);
+        let next = null;
+        if (tryNo < maxTries && wait <= RETRY_MAX_DELAY_MS) next = 'retry';
+        else if (t < targets.length - 1) next = 'failover';
+        if (!next) {
+          if (resp) return { upstreamResp: resp, attempts: attempt, target };
+          throw error;
+        }
+        let errorDetail = error ? error.message : undefined;
+        try { errorDetail = JSON.parse(bodyText).error.message || errorDetail; } catch (_) {}
+        logAttempt(reqId, route, attempt, target, upstream, {
+          ...(resp ? { status: resp.status } : {}),
+          ...(errorDetail ? { error: errorDetail } : {}),
+          ...(error && error.code ? { code: error.code } : {}),
+          next,
+          ...(next === 'retry' ? { retryInMs: wait } : {}),
+        });
+        logger.warn(`[resilience] Attempt ${attempt} on ${target.label} failed (${resp ? resp.status : errorDetail}), ${next === 'retry' ? `retrying in ${wait} ms` : 'failing over'}`);
+        if (next === 'retry') await sleep(wait);
+        else break;
+      }
+    }
+    throw new Error('No upstream target available');
+  }
+
+  // True for content types whose bytes are worth logging as text
+  function isTextualContentType(ct) {
+    const lc = String(ct || '').toLowerCase();
+    if (!lc) return true;
+    return lc.startsWith('text/') || lc.includes('json') || lc.includes('xml') || lc.includes('x-www-form-urlencoded');
+  }
+
+  // Whether the incoming request carries a body at all (GET/DELETE usually do not)
+  function requestHasBody(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') return false;
+    const len = Number(req.headers['content-length']);
+    if (Number.isFinite(len)) return len > 0;
+    return !!req.headers['transfer-encoding'];
+  }
+
+  // options.logExtra: extra fields for the request entry (e.g. the untranslated OpenAI request)
+  // options.cache: false to always go upstream (playground replays)
+  async function sendRequestToUpstream(req, options = {}) {
+    const requestStartedAt = Date.now();
+    const method = req.method;
+    // express.json() only consumes application/json; anything else is still an unread stream
+    const jsonBody = req.body !== undefined;
+    const streamBody = !jsonBody && requestHasBody(req);
+    let body = jsonBody ? req.body : undefined;
+
+    // req.url keeps the query string (?alt=sse, ?key=, ?pageToken=...)
+    let route = req.url;
+    let { upstream, url: upstreamUrl } = upstreams.resolveUpstream(route);
+    const uploadSession = upstreams.uploadSession(route);
+    if (uploadSession) ({ upstream, url: upstreamUrl } = uploadSession);
+
+    let headers = {};
+    // Copy headers from req, but strip hop-by-hop and problematic ones.
+    // Content-Length is kept for streamed bodies since their bytes are forwarded unchanged.
+    Object.keys(req.headers).forEach((key) => {
+      const lk = key.toLowerCase();
+      if (lk === 'content-length' && streamBody) {
+        headers[key] = req.headers[key];
+        return;
+      }
+      if (['content-length', 'host', 'connection', 'transfer-encoding', 'accept-encoding', 'keep-alive', 'proxy-connection', 'te', 'trailer', 'upgrade'].includes(lk)) {
+        return;
+      }
+      headers[key] = req.headers[key];
+    });
+
+    // check if there is a content-type header, if not, set it to application/json
+    if (jsonBody && !headers['content-type'] && !headers['Content-Type']) {
+      logger.log('[proxy] No Content-Type header found, setting to application/json');
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const reqId = (crypto.randomUUID && typeof crypto.randomUUID === 'function')
+      ? crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    // Plugins may rewrite the route/URL, headers and (JSON only) body before anything is logged or sent
+    let modifications = [];
+    if (hasHook('onRequest')) {
+      // Hooks edit a copy so req.body stays the client's original
+      const hookCtx = { id: reqId, method, route, url: upstreamUrl, headers, body: jsonBody ? structuredClone(body) : undefined };
+      modifications = await runPluginHook('onRequest', hookCtx, jsonBody ? ['route', 'url', 'headers', 'body'] : ['route', 'url', 'headers']);
+      // Keep route and URL in step when a hook changed only one of them; a new route is routed again
+      if (hookCtx.route !== route && hookCtx.url === upstreamUrl) ({ upstream, url: hookCtx.url } = upstreams.resolveUpstream(hookCtx.route));
+      else if (hookCtx.url !== upstreamUrl && hookCtx.route === route && hookCtx.url.startsWith(upstream.base) && !upstream.rewrite.length && !upstream.stripPrefix) {
+        hookCtx.route = hookCtx.url.slice(upstream.base.length);
+      }
+      ({ route, url: upstreamUrl, headers, body } = hookCtx);
+    }
+    // Injected after the hooks so configured credentials never show up in logged diffs
+    headers = upstreams.applyUpstreamHeaders(upstream, headers);
+    if (upstream === upstreams.defaultUpstream && UPSTREAM_API_KEY && !hasUpstreamCredentials(route, headers)) {
+      headers['x-goog-api-key'] = UPSTREAM_API_KEY;
+    }
+
+    // Streamed bodies are not buffered, so only a summary is logged
+    let loggedBody = body;
+    if (streamBody) {
+      const contentType = req.headers['content-type'] || '';
+      const bytes = Number(req.headers['content-length']);
+      loggedBody = {
+        streamed: true,
+        ...(contentType ? { contentType } : {}),
+        ...(Number.isFinite(bytes) ? { bytes } : {}),
+      };
+    }
+
+    // Threaded on what the client sent, so plugin edits do not split conversations
+    const conversation = threadConversation(req, req.body);
+    const client = req.proxyClient ? { client: req.proxyClient.name } : {};
+    logRequest(reqId, route, loggedBody, upstreamUrl, method, {
+      upstream: upstream.name,
+      ...client,
+      session: resolveSession(req),
+      ...conversation,
+      ...(modifications.length ? { modifications } : {}),
+      ...(options.logExtra || {}),
+    });
+    // Fields repeated on the response entry so both halves of a turn can be threaded
+    const logFields = conversation.conversationId
+      ? { conversationId: conversation.conversationId, turn: conversation.turn, upstream: upstream.name, ...client }
+      : { upstream: upstream.name, ...client };
+
+    logger.log(`[proxy] ${method} ${redactQueryParams(upstreamUrl)}`);
+    if (loggedBody !== undefined) {
+      const bodyStr = JSON.stringify(redactValue(loggedBody));
+      logger.log(`body : ${bodyStr.slice(0, 1000)}${bodyStr.length > 1000 ? '...' : ''}`);
+    }
+    const headersStr = JSON.stringify(redactHeaders(headers));
+    logger.log(`headers: ${headersStr.slice(0, 1000)}${headersStr.length > 1000 ? '...' : ''}`);
+
+    const init = { method, headers, ...(options.signal ? { signal: options.signal } : {}) };
+    if (jsonBody) {
+      init.body = JSON.stringify(body);
+    } else if (streamBody) {
+      // Pipe the raw request through (multipart, resumable upload chunks, binary)
+      init.body = req;
+      init.duplex = 'half';
+    }
+    const replayed = replayFromCassette(method, route, loggedBody);
+    if (replayed) {
+      // Not forwarded: drain any unread upload body
+      if (streamBody) req.resume();
+      return { upstreamResp: replayed.response, reqId, route, upstreamUrl, target: { url: upstreamUrl, upstream }, replayId: replayed.replayId, logFields, requestStartedAt, upstreamHeadersAt: Date.now() };
+    }
+    let cache = null;
+    if (jsonBody && options.cache !== false && responseCache.isCacheable(method, route, body)) {
+      const key = responseCache.responseCacheKey(method, route, body, {
+        client: req.proxyClient ? req.proxyClient.name : '',
+        upstream: upstream.name,
+        credential: upstreamCredential(upstreamUrl, headers),
+      });
+      const hit = await responseCache.lookupCache(key);
+      if (hit) {
+        logger.log(`[cache] HIT ${method} ${normalizeRouteForMatch(route)}`);
+        logFields.cache = 'HIT';
+        logFields.cached_at = new Date(hit.storedAt).toISOString();
+        return { upstreamResp: hit.response, reqId, route, upstreamUrl, target: { url: upstreamUrl, upstream }, logFields, requestStartedAt, upstreamHeadersAt: Date.now(), cache: { status: 'HIT' } };
+      }
+      logFields.cache = 'MISS';
+      cache = { status: 'MISS', key, method };
+    }
+    let result;
+    try {
+      limits.enforceLimits(req.proxyClient && req.proxyClient.name, modelFromRoute(route), {
+        bodyBytes: jsonBody ? Buffer.byteLength(init.body) : Number(req.headers['content-length']) || 0,
+        body,
+      });
+    } catch (err) {
+      if (streamBody) req.resume();
+      throw Object.assign(err, { reqId, logFields, requestStartedAt });
+    }
+    try {
+      // Streamed upload bodies are consumed by the first attempt, so only JSON/empty bodies are re-sent;
+      // an upload session only exists on the target that started it, so it never fails over
+      result = await fetchUpstreamWithRetries(reqId, route, upstreamUrl, init, { resendable: !streamBody, upstream, pinned: !!uploadSession });
+    } catch (err) {
+      throw Object.assign(err, { reqId, logFields, requestStartedAt });
+    }
+    const upstreamHeadersAt = Date.now();
+    const { upstreamResp, attempts, target } = result;
+    if (attempts > 1) logFields.attempts = attempts;
+    if (target.label !== 'primary') logFields.fallback = target.label;
+    return { upstreamResp, reqId, route, upstreamUrl, target: { url: target.url, upstream }, logFields, requestStartedAt, upstreamHeadersAt, cache };
+  }
+
+  // Extra response-entry fields for record/replay: the cassette id served, and raw timed chunks when RECORD=true
+  function replayLogFields(replayId, contentType, buffers, times) {
+    const fields = {};
+    if (replayId) fields.cassette_id = replayId;
+    if (RECORD) {
+      const binary = !isTextualContentType(contentType);
+      fields.recording = {
+        contentType: contentType || '',
+        chunks: buffers.map((b, i) => ({
+          at: times[i] || 0,
+          data: b.toString(binary ? 'base64' : 'utf8'),
+          ...(binary ? { encoding: 'base64' } : {}),
+        })),
+      };
+    }
+    return fields;
+  }
+
+  async function sendUpstreamResponseToClient(upstreamResp, res, ctx) {
+    // ctx.translate ({ body(status, text), stream() }) rewrites what the client receives; the log keeps the upstream response
+    // ctx.cache: { status: 'HIT'|'MISS', key? } for cacheable requests; misses store the raw upstream chunks
+    // ctx.clientSignal: aborted when the client went away, which tells a cancellation from an upstream failure
+    // ctx.target: { url, upstream } actually called, which resumable upload URLs are rewritten against
+    const { reqId, route, proxyOrigin, target, replayId, logFields, requestStartedAt, upstreamHeadersAt, translate, cache, clientSignal } = ctx || {};
+    const startedAt = Date.now();
+    const timing = createTiming(requestStartedAt, upstreamHeadersAt || startedAt);
+    // Total time from receiving the client request to the fully collected response
+    const durationField = () => (requestStartedAt ? { duration_ms: Date.now() - requestStartedAt } : {});
+    res.status(upstreamResp.status);
+    if (reqId) res.setHeader('x-proxy-request-id', reqId);
+    if (cache) res.setHeader('x-proxy-cache', cache.status);
+    const failureOutcome = (err) => {
+      if (clientSignal && clientSignal.aborted) return { outcome: 'client_aborted', error: 'Client closed the connection', code: 'CLIENT_ABORTED' };
+      return { outcome: err.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'upstream_error', error: err.message, ...(err.code ? { code: err.code } : {}) };
+    };
+    const storeInCache = (buffers, times) => {
+      if (cache && cache.key) {
+        trackPending(responseCache.storeCachedResponse(cache.key, { method: cache.method, route, status: upstreamResp.status, contentType: upstreamResp.headers.get('content-type'), buffers, times }));
+      }
+    };
+
+    // Prepare plain headers map for logging and sanitize before forwarding
+    const plainHeaders = {};
+    upstreamResp.headers.forEach((value, key) => { plainHeaders[key] = value; });
+
+    // Resumable uploads hand back an absolute upload URL; point it at the proxy so the
+    // following upload/finalize requests are forwarded and logged too
+    const uploadUrl = plainHeaders['x-goog-upload-url'];
+    if (proxyOrigin && target && typeof uploadUrl === 'string') {
+      const proxied = upstreams.proxyUploadUrl(uploadUrl, target, proxyOrigin);
+      if (proxied) plainHeaders['x-goog-upload-url'] = proxied;
+    }
+
+    // Remove or override hop-by-hop and encoding/length headers that can be invalid after decoding/streaming
+    // Always treat keys in a case-insensitive way (fetch returns lowercase keys, but be safe)
+    const removeHeader = (obj, name) => {
+      const lc = name.toLowerCase();
+      Object.keys(obj).forEach((k) => {
+        if (k.toLowerCase() === lc) delete obj[k];
+      });
+    };
+
+
+    // print headers
+    const respHeadersStr = redactQueryParams(JSON.stringify(redactHeaders(plainHeaders)));
+    logger.log(`[proxy] Upstream response headers: ${respHeadersStr.slice(0, 1000)}${respHeadersStr.length > 1000 ? '...' : ''}`);
+
+    const ct = String(plainHeaders['content-type'] || plainHeaders['Content-Type'] || '').toLowerCase();
+    const routeStr = typeof route === 'string' ? route : '';
+    // Translated error responses are buffered so they can be rewritten as one JSON body
+    const shouldStream = (routeStr.toLowerCase().includes('streamgeneratecontent') || ct.includes('text/event-stream'))
+      && !(translate && upstreamResp.status >= 400);
+
+    if (shouldStream) {
+      logger.log('[proxy] Streaming response detected, piping to client');
+      // Forward upstream content-type (or default to JSON streaming)
+      const origCT = plainHeaders['content-type'] || plainHeaders['Content-Type'];
+      res.setHeader('Content-Type', translate ? 'text/event-stream; charset=utf-8' : (origCT || 'application/json; charset=utf-8'));
+      // Do not set Content-Length for streaming
+      if (typeof res.flushHeaders === 'function') {
+        try { res.flushHeaders(); } catch (_) {}
+      }
+
+      const body = upstreamResp.body;
+      if (!body) { res.end(); return; }
+
+      try {
+        const upstreamStream = Readable.fromWeb(body);
+        // With onStreamChunk hooks the client (and the log) get the rewritten stream
+        const chunkModifications = [];
+        const nodeStream = hasHook('onStreamChunk') && isTextualContentType(ct)
+          ? upstreamStream.pipe(createStreamChunkHook(
+            { id: reqId, route, status: upstreamResp.status, headers: plainHeaders },
+            ct.includes('text/event-stream'),
+            chunkModifications,
+          ))
+          : upstreamStream;
+        const collected = [];
+        const chunkTimes = [];
+        // Cached before plugins and translation, which run again when the entry is served
+        const rawChunks = [];
+        const rawTimes = [];
+        upstreamStream.on('data', (chunk) => {
+          recordChunkTiming(timing, chunk);
+          if (cache && cache.key) {
+            rawChunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            rawTimes.push(Date.now() - startedAt);
+          }
+        });
+        // Logged once: on 'end', or with what was collected so far when the stream fails or the client leaves
+        let logged = false;
+        const logCollected = (outcomeFields) => {
+          if (logged) return;
+          logged = true;
+          try {
+            const text = Buffer.concat(collected).toString('utf8');
+            // Pretty-print JSON in console when possible
+            try {
+              const parsed = JSON.parse(text);
+              logger.log(JSON.stringify(redactValue(parsed), null, 2));
+            } catch (_) {
+              logger.log(redactText(text));
+            }
+            const content = extractContent(text, plainHeaders);
+            const extra = {
+              ...logFields,
+              ...durationField(),
+              ...timingFields(timing),
+              ...replayLogFields(replayId, origCT, collected, chunkTimes),
+              ...(chunkModifications.length ? { modifications: chunkModifications } : {}),
+              ...outcomeFields,
+            };
+            if (reqId && route) logResponseFull(reqId, route, upstreamResp.status, plainHeaders, text, content, extra);
+          } catch (_) {}
+        };
+        if (nodeStream !== upstreamStream) upstreamStream.on('error', (err) => nodeStream.destroy(err));
+        nodeStream.on('error', (err) => {
+          const outcome = failureOutcome(err);
+          if (outcome.outcome === 'client_aborted') logger.log('[proxy] Client disconnected, upstream stream aborted');
+          else logger.error('Upstream stream error:', err);
+          logCollected(outcome);
+          if (!res.headersSent) res.status(502);
+          res.end();
+        });
+        // Decoder keeps multi-byte characters split across chunks intact for the live feed
+        const liveDecoder = new StringDecoder('utf8');
+        nodeStream.on('data', (chunk) => {
+          logger.log(`[proxy] Streaming chunk: ${chunk.length} bytes`);
+          try {
+            const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            collected.push(buf);
+            chunkTimes.push(Date.now() - startedAt);
+            if (reqId && logStreamClients.size) {
+              broadcastLogEvent('chunk', { id: reqId, route: redactQueryParams(route), seq: collected.length, text: redactText(liveDecoder.write(buf)) });
+            }
+          } catch (_) {}
+        });
+        nodeStream.on('end', () => {
+          logger.log('[proxy] Upstream stream ended');
+          storeInCache(rawChunks, rawTimes);
+          logCollected({ outcome: 'completed' });
+        });
+        (translate && translate.stream ? nodeStream.pipe(translate.stream()) : nodeStream).pipe(res);
+      } catch (err) {
+        logger.error('[proxy] Failed to stream upstream body:', err);
+        if (!res.headersSent) res.status(502).end(); else res.end();
+      }
+      return;
+    } else {
+      logger.log('[proxy] Non-streaming response, buffering entire body before forwarding');
+      const buffers = [];
+      let bodyRead = false;
+      try {
+        // Forward safe headers (without length/encoding); set Content-Length after buffering
+        removeHeader(plainHeaders, 'content-length');
+        removeHeader(plainHeaders, 'content-length');
+        removeHeader(plainHeaders, 'content-encoding');
+        removeHeader(plainHeaders, 'transfer-encoding');
+        removeHeader(plainHeaders, 'connection');
+        removeHeader(plainHeaders, 'keep-alive');
+
+
+        // Read chunk by chunk (rather than arrayBuffer()) to time the first and last bytes
+        if (upstreamResp.body) {
+          for await (const chunk of upstreamResp.body) {
+            recordChunkTiming(timing, chunk);
+            buffers.push(Buffer.from(chunk));
+          }
+        }
+        bodyRead = true;
+        let buf = Buffer.concat(buffers);
+        storeInCache([buf], [Date.now() - startedAt]);
+        let status = upstreamResp.status;
+        let modifications = [];
+        // onResponse hooks see the parsed JSON (or text) body and may change status, headers and body
+        if (hasHook('onResponse') && isTextualContentType(ct)) {
+          const text = buf.toString('utf8');
+          let parsed;
+          try { parsed = JSON.parse(text); } catch (_) {}
+          const hookCtx = { id: reqId, route, status, headers: plainHeaders, body: parsed !== undefined ? parsed : text };
+          const bodyBefore = canonicalJson(hookCtx.body);
+          modifications = await runPluginHook('onResponse', hookCtx, ['status', 'headers', 'body']);
+          status = Number(hookCtx.status) || status;
+          if (hookCtx.headers !== plainHeaders) {
+            Object.keys(plainHeaders).forEach((k) => delete plainHeaders[k]);
+            Object.assign(plainHeaders, hookCtx.headers);
+          }
+          removeHeader(plainHeaders, 'content-length');
+          if (canonicalJson(hookCtx.body) !== bodyBefore) {
+            buf = Buffer.from(typeof hookCtx.body === 'string' ? hookCtx.body : JSON.stringify(hookCtx.body));
+          }
+        }
+
+        let clientBuf = buf;
+        if (translate) {
+          clientBuf = Buffer.from(JSON.stringify(translate.body(status, buf.toString('utf8'))));
+          removeHeader(plainHeaders, 'content-type');
+          plainHeaders['content-type'] = 'application/json; charset=utf-8';
+        }
+
+        Object.keys(plainHeaders).forEach((key) => {
+          res.setHeader(key, plainHeaders[key]);
+        });
+        // Binary payloads (e.g. file downloads) are summarized instead of decoded
+        const textPreview = (() => {
+          if (!isTextualContentType(ct)) return `[binary ${ct} body, ${buf.length} bytes]`;
+          try { return buf.toString('utf8'); } catch { return ''; }
+        })();
+        // Pretty-print JSON in console when possible
+        try {
+          const parsed = JSON.parse(textPreview);
+          logger.log(JSON.stringify(redactValue(parsed), null, 2));
+        } catch (_) {
+          logger.log(redactText(textPreview));
+        }
+        // Set correct Content-Length and forward safe headers
+        res.setHeader('content-length', String(clientBuf.length));
+        // If upstream didn't send content-type, default to application/json
+        if (!plainHeaders['content-type'] && !plainHeaders['Content-Type']) {
+          res.setHeader('Content-Type', 'application/json');
+        }
+
+        // Log aggregated response for debugging
+        try {
+          const content = extractContent(textPreview, plainHeaders);
+          const extra = {
+            ...logFields,
+            ...durationField(),
+            ...timingFields(timing),
+            ...replayLogFields(replayId, ct, [buf], [Date.now() - startedAt]),
+            ...(modifications.length ? { modifications } : {}),
+            outcome: 'completed',
+          };
+          if (reqId && route) logResponseFull(reqId, route, status, plainHeaders, textPreview, content, extra);
+        } catch (_) {}
+
+        res.status(status);
+        res.write(clientBuf);
+        res.send();
+        logger.log('[proxy] Response fully sent to client');
+      } catch (err) {
+        logger.error('[proxy] Error reading upstream response body:', err);
+        // The body was cut short: log the bytes received so far
+        if (!bodyRead && reqId && route) {
+          const partial = Buffer.concat(buffers);
+          const text = isTextualContentType(ct) ? partial.toString('utf8') : `[binary ${ct} body, ${partial.length} bytes received]`;
+          logResponseFull(reqId, route, upstreamResp.status, plainHeaders, text, extractContent(text, plainHeaders), {
+            ...logFields,
+            ...durationField(),
+            ...timingFields(timing),
+            ...failureOutcome(err),
+          });
+        }
+        if (!res.headersSent) res.status(err.status === 504 ? 504 : 502).end();
+        else res.end();
+      }
+    }
+  }
+
+  // options: { logExtra, translate } for front ends that rewrite the exchange (see OpenAI compatibility)
+  async function proxyRequest(req, res, options = {}) {
+
+    logger.log(`\n\n\n\n[proxy] Proxying ${req.method} to upstream path segment: ${redactQueryParams(req.url)}\n\n`);
+
+    // A client that disconnects before the response is complete (Ctrl-C mid-stream) aborts the upstream call
+    const clientAbort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) clientAbort.abort();
+    });
+    const clientSignal = clientAbort.signal;
+
+    try {
+      const { upstreamResp, reqId, route, target, replayId, logFields, requestStartedAt, upstreamHeadersAt, cache } = await sendRequestToUpstream(req, { ...options, signal: clientSignal });
+      logger.log(`[proxy] Upstream response: ${upstreamResp.status} ${upstreamResp.statusText}`);
+      const proxyOrigin = `${req.protocol}://${req.get('host')}`;
+      await sendUpstreamResponseToClient(upstreamResp, res, { reqId, route, proxyOrigin, target, replayId, logFields, requestStartedAt, upstreamHeadersAt, translate: options.translate, cache, clientSignal });
+    }
+    catch (err) {
+      logger.error('[proxy] Error during proxying:', err);
+      const status = err.status || 500;
+      // Upstream never answered: close the logged request with an error response entry
+      // err.body: an error answered by the proxy itself in upstream format (e.g. a rate limit)
+      const errorBody = err.body || { error: 'Proxy error', detail: err.message };
+      if (err.reqId) {
+        logResponseFull(err.reqId, req.url, status, err.headers || {}, JSON.stringify(errorBody), '', {
+          ...err.logFields,
+          ...(err.requestStartedAt ? { duration_ms: Date.now() - err.requestStartedAt } : {}),
+          ...timingFields(createTiming(err.requestStartedAt, null)),
+          error: err.message,
+          ...(err.code ? { code: err.code } : {}),
+          // err.body: answered in full by the proxy; otherwise the upstream call itself failed
+          outcome: err.code === 'CLIENT_ABORTED' ? 'client_aborted' : err.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : err.body ? 'completed' : 'upstream_error',
+        });
+      }
+      if (res.headersSent) res.end();
+      else {
+        if (err.headers) res.set(err.headers);
+        if (options.translate) res.status(status).json(options.translate.error(status, err.message));
+        else res.status(status).json(errorBody);
+      }
+    }
+
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playground: POST /logs/replay resends a logged request, as logged or edited
+  // in the dashboard, through the normal proxy path. The new exchange is logged
+  // with `replayOf` pointing at the original request id.
+  // ---------------------------------------------------------------------------
+
+  // Logged routes carry masked credentials (?key=[REDACTED]); those params are dropped
+  function replayableRoute(route) {
+    const [pathname, query] = String(route || '').split('?');
+    if (!query) return pathname;
+    const params = new URLSearchParams(query);
+    for (const [k, v] of Array.from(params)) if (v === REDACTED) params.delete(k);
+    const qs = params.toString();
+    return pathname + (qs ? `?${qs}` : '');
+  }
+
+  // Body: { id, route?, body?, apiKey? }; route and body default to the logged ones
+  async function handleLogReplay(req, res) {
+    const { id, route, body, apiKey } = req.body || {};
+    const fail = (status, message) => res.status(status).json({ error: message });
+    if (!id) return fail(400, 'id is required');
+    const original = (await findExchanges([String(id)])).get(String(id)).request;
+    if (!original) return fail(404, `No logged request with id ${id}`);
+    const target = replayableRoute(typeof route === 'string' && route ? route : original.route);
+    // The route is appended to the upstream base, so it must stay a path on it
+    if (!target.startsWith('/') || target.startsWith('//')) return fail(400, 'route must be a path starting with /');
+    const sendBody = body !== undefined ? body : original.body;
+    if (sendBody !== undefined && (!sendBody || typeof sendBody !== 'object' || sendBody.streamed)) {
+      return fail(400, 'Only JSON request bodies can be replayed');
+    }
+
+    logger.log(`[replay] ${original.method || 'POST'} ${redactQueryParams(target)} (replay of ${original.id})`);
+    // Nothing from the dashboard's own request is forwarded, except an explicit key
+    req.method = original.method || 'POST';
+    req.url = target;
+    req.body = sendBody;
+    req.headers = {
+      ...(sendBody !== undefined ? { 'content-type': 'application/json' } : {}),
+      ...(apiKey ? { 'x-goog-api-key': String(apiKey) } : {}),
+      'user-agent': 'llm-proxy-playground',
+    };
+    return proxyRequest(req, res, { logExtra: { replayOf: original.id }, cache: false });
+  }
+
+  app.use(authenticateClient);
+
+  app.get('/health', (_req, res) => res.json({ ok: true, apiBase: API_BASE, routePrefix: ROUTE_PREFIX, upstreams: upstreams.describeUpstreams() }));
+
+  app.get('/logs/data', requireAdmin, async (req, res) => {
+    try {
+      const { limit, cursor, from, to, route, status, model, id, type, client } = req.query;
+      const page = await queryLogs({ limit, cursor, filters: { from, to, route, status, model, id, type, client } });
+      // Redact again on read so entries written before a rule was added are masked too
+      res.json({ entries: page.entries.map(redactEntry), nextCursor: page.nextCursor });
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: err.message });
+      logger.error('[logs] Failed to read log file:', err);
+      res.status(500).json({ error: 'Failed to read logs', detail: err.message });
+    }
+  });
+
+  app.get('/logs/stream', requireAdmin, handleLogStream);
+
+  app.get('/logs/search', requireAdmin, async (req, res) => {
+    try {
+      res.json(await searchLogs(req.query));
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: err.message });
+      logger.error('[logs] Search failed:', err);
+      res.status(500).json({ error: 'Failed to search logs', detail: err.message });
+    }
+  });
+
+  app.get('/logs/export', requireAdmin, async (req, res) => {
+    try {
+      const { format = 'har', from, to, conversationId, session } = req.query;
+      checkExportFormat(String(format));
+      const collector = exchangeCollector({ from, to, conversationId, session });
+      // Current redaction rules apply to exports as they do to /logs/data
+      await forEachLogEntry((e) => collector.add(redactEntry(e)));
+      const out = exportExchanges(String(format), collector.finish());
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+      res.setHeader('Content-Type', `${out.contentType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="proxy-logs-${conversationId || stamp}.${out.extension}"`);
+      res.send(out.text);
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: err.message });
+      logger.error('[logs] Export failed:', err);
+      res.status(500).json({ error: 'Failed to export logs', detail: err.message });
+    }
+  });
+
+  app.get('/logs/diff', requireAdmin, async (req, res) => {
+    try {
+      res.json(await diffLogExchanges(req.query.a, req.query.b));
+    } catch (err) {
+      if (err.status === 400 || err.status === 404) return res.status(err.status).json({ error: err.message });
+      logger.error('[logs] Diff failed:', err);
+      res.status(500).json({ error: 'Failed to diff log entries', detail: err.message });
+    }
+  });
+
+  app.post('/logs/replay', requireAdmin, async (req, res) => {
+    try {
+      await handleLogReplay(req, res);
+    } catch (err) {
+      logger.error('[replay] Failed:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to replay request', detail: err.message });
+    }
+  });
+
+  app.get('/stats', requireAdmin, async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      // Keep only what the aggregation needs instead of holding every body in memory
+      const light = [];
+      await forEachLogEntry((e) => {
+        if (!e || !e.id) return;
+        if (e.type === 'request' && e.session) light.push({ type: e.type, id: e.id, session: e.session });
+        else if (e.type === 'response' && e.usage) {
+          const { ts, id, type, route, model, model_version, usage, conversationId, cache, client } = e;
+          light.push({ ts, id, type, route, model, model_version, usage, conversationId, cache, client });
+        }
+      });
+      const stats = computeUsageStats(light, { from, to });
+      res.json({ currency: 'USD', prices: PRICES, ...stats });
+    } catch (err) {
+      logger.error('[stats] Failed to compute usage stats:', err);
+      res.status(500).json({ error: 'Failed to compute stats', detail: err.message });
+    }
+  });
+
+  app.delete('/logs/data', requireAdmin, async (_req, res) => {
+    try {
+      await clearAllLogs();
+      res.json({ ok: true });
+    } catch (err) {
+      if (err && err.code === 'ENOENT') {
+        // Nothing to clear
+        return res.json({ ok: true });
+      }
+      logger.error('[logs] Failed to clear log file:', err);
+      res.status(500).json({ error: 'Failed to clear logs', detail: err.message });
+    }
+  });
+
+  app.get('/limits', requireAdmin, (_req, res) => res.json(limits.describeLimits()));
+
+  app.get('/metrics', requireAdmin, (_req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics());
+  });
+
+  app.delete('/cache', requireAdmin, (_req, res) => {
+    res.json({ ok: true, cleared: responseCache.clearCache() });
+  });
+
+  app.get('/logs', (_req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'logs.html'));
+  });
+
+  if (OPENAI_COMPAT) {
+    app.post('/v1/chat/completions', handleOpenAIChatCompletions);
+    app.get('/v1/models', handleOpenAIModels);
+    app.get('/v1/models/:model', handleOpenAIModels);
+  }
+
+  const PROXY_PREFIX = ROUTE_PREFIX || '';
+
+  const prefixRegex = new RegExp(`^${PROXY_PREFIX}(.*)`);
+  // Every method is forwarded (GET /models, PUT/PATCH/DELETE on files and cachedContents, uploads)
+  app.all(prefixRegex, (req, res) => proxyRequest(req, res));
+
+  // Ends the live feeds and resolves once queued log writes, segment maintenance and cache
+  // stores have settled; call it after the HTTP server stopped taking requests
+  app.close = async () => {
+    for (const client of logStreamClients) {
+      endLogStreamClient(client);
+      try { client.res.end(); } catch (_) {}
+    }
+    // Settled work can queue more (a write that rotates starts maintenance): wait until nothing is left
+    for (;;) {
+      const chain = logWriteChain;
+      await Promise.all([chain, ...pendingWork]);
+      if (chain === logWriteChain && !pendingWork.size) return;
+    }
+  };
+
+  app.locals.logFile = LOG_FILE;
+  return app;
+}
+
+function startListening(app, port = app.locals.config.PORT, triesLeft = 10) {
+  const { PORT, AUTO_PORT, API_BASE } = app.locals.config;
+  const { logger } = app.locals;
+  const server = app.listen(port, () => {
+    logger.log(`LLM logging proxy listening on http://localhost:${port}`);
+    if (port !== PORT) {
+      logger.log(`[port] ${PORT} was busy, auto-switched to ${port}`);
+    }
+    logger.log(`Upstream base: ${API_BASE}`);
+    logger.log(`Logging to: ${app.locals.logFile}`);
+  });
+  server.on('error', (err) => {
+    if (err && err.code === 'EADDRINUSE' && AUTO_PORT && triesLeft > 0) {
+      const nextPort = port + 1;
+      logger.warn(`[server] Port ${port} in use. Retrying on ${nextPort}...`);
+      setTimeout(() => startListening(app, nextPort, triesLeft - 1), 150);
+      return;
+    }
+    logger.error('[server] error:', err);
+    process.exit(1);
+  });
+}
+
+// Diagnostics: capture unexpected exits/signals/errors. Only installed when run directly,
+// so tests and other code importing the app keep control of the process.
+function installProcessHandlers() {
+  process.on('exit', (code) => {
+    console.log(`[process] exit with code ${code}`);
+  });
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((sig) => {
+    process.on(sig, () => {
+      console.log(`[process] received ${sig}, shutting down`);
+      process.exit(0);
+    });
+  });
+  process.on('uncaughtException', (err) => {
+    console.error('[process] uncaughtException:', err);
+  });
+  process.on('unhandledRejection', (reason) => {
+    console.error('[process] unhandledRejection:', reason);
+  });
+}
+
+if (require.main === module) {
+  installProcessHandlers();
+  startListening(createApp());
 }
 
-startListening(PORT);
+module.exports = {
+  createApp,
+  loadConfig,
+  startListening,
+  extractContent,
+  extractToolCalls,
+  extractGeminiFields,
+};
@@ -0,0 +1,118 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+
+const USER_TOKEN = 'user-token-123';
+const ADMIN_TOKEN = 'admin-token-456';
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+
+let ctx;
+let configDir;
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-auth-'));
+  const authFile = path.join(configDir, 'auth.json');
+  fs.writeFileSync(authFile, JSON.stringify({
+    clients: [
+      { name: 'alice', token: USER_TOKEN },
+      { name: 'ops', role: 'admin', token: ADMIN_TOKEN },
+    ],
+  }));
+  ctx = await startProxy({ AUTH_FILE: authFile });
+});
+
+after(async () => {
+  await ctx.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function call(method, route, token, body) {
+  return fetch(ctx.url + route, {
+    method,
+    headers: {
+      ...(token ? { 'x-proxy-token': token } : {}),
+      ...(body ? { 'content-type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+// Every admin route, some spelled the way Express still routes them
+const ADMIN_ROUTES = [
+  ['GET', '/logs/data'],
+  ['GET', '/LOGS/DATA'],
+  ['GET', '/logs/data/'],
+  ['GET', '/Logs/Search?q=hello'],
+  ['GET', '/logs/Export?format=jsonl'],
+  ['GET', '/Logs/Diff?a=x&b=y'],
+  ['POST', '/Logs/replay'],
+  ['DELETE', '/Logs/Data'],
+  ['GET', '/Stats'],
+  ['GET', '/Limits'],
+  ['GET', '/METRICS'],
+  ['DELETE', '/Cache'],
+];
+
+describe('access control', () => {
+  test('/health and the dashboard page need no token', async () => {
+    assert.equal((await call('GET', '/health')).status, 200);
+    assert.equal((await call('GET', '/logs')).status, 200);
+  });
+
+  test('missing and unknown tokens get a 401', async () => {
+    const missing = await call('POST', '/v1beta/models/m:generateContent', null, REQUEST_BODY);
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).error.status, 'UNAUTHENTICATED');
+    assert.equal((await call('GET', '/stats', 'wrong-token')).status, 401);
+    assert.equal((await call('GET', '/LOGS/DATA')).status, 401);
+  });
+
+  test('a client token reaches the upstream without the token itself', async () => {
+    const resp = await call('POST', '/v1beta/models/auth-user:generateContent', USER_TOKEN, REQUEST_BODY);
+    assert.equal(resp.status, 200);
+    const seen = ctx.upstream.requests[ctx.upstream.requests.length - 1];
+    assert.equal(seen.headers['x-proxy-token'], undefined);
+    const request = await ctx.waitForEntry((e) => e.type === 'request' && e.model === 'auth-user');
+    assert.equal(request.client, 'alice');
+  });
+
+  test('admin routes refuse a non-admin token whatever the path case', async () => {
+    for (const [method, route] of ADMIN_ROUTES) {
+      const resp = await call(method, route, USER_TOKEN, method === 'POST' ? { id: 'x' } : undefined);
+      assert.equal(resp.status, 403, `${method} ${route}`);
+      assert.equal((await resp.json()).error.status, 'PERMISSION_DENIED', `${method} ${route}`);
+    }
+    // Nothing was wiped
+    assert.ok(ctx.readEntries().length > 0);
+  });
+
+  test('${NAME} tokens resolve from the config, not from process.env', async () => {
+    const authFile = path.join(configDir, 'auth-env.json');
+    fs.writeFileSync(authFile, JSON.stringify({ clients: [{ name: 'bob', token: '${BOB_TOKEN}' }, { name: 'eve', token: '${EVE_TOKEN}' }] }));
+    process.env.EVE_TOKEN = 'from-the-host';
+    const own = await startProxy({ AUTH_FILE: authFile, BOB_TOKEN: 'from-the-config' });
+    try {
+      const send = (token) => fetch(own.url + '/v1beta/models/env-token:generateContent', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-proxy-token': token },
+        body: JSON.stringify(REQUEST_BODY),
+      });
+      assert.equal((await send('from-the-config')).status, 200);
+      assert.equal((await send('from-the-host')).status, 401);
+    } finally {
+      delete process.env.EVE_TOKEN;
+      await own.close();
+    }
+  });
+
+  test('an admin token opens the admin routes', async () => {
+    for (const route of ['/logs/data', '/LOGS/DATA', '/Stats', '/Limits', '/METRICS']) {
+      const resp = await call('GET', route, ADMIN_TOKEN);
+      assert.equal(resp.status, 200, route);
+      await resp.arrayBuffer();
+    }
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+const { startFakeUpstream } = require('./support/fake-upstream');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+
+let cacheDir;
+let env;
+
+before(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-cache-'));
+  env = { CACHE: 'true', CACHE_DIR: cacheDir, CACHE_TTL_SECONDS: '3600' };
+});
+
+after(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+async function generate(ctx, model, headers = {}) {
+  const resp = await fetch(`${ctx.url}/v1beta/models/${model}:generateContent`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(REQUEST_BODY),
+  });
+  await resp.text();
+  return resp.headers.get('x-proxy-cache');
+}
+
+function cacheFileFor(model) {
+  for (const f of fs.readdirSync(cacheDir).filter((n) => n.endsWith('.json'))) {
+    const file = path.join(cacheDir, f);
+    if (fs.readFileSync(file, 'utf8').includes(`/models/${model}:`)) return file;
+  }
+  throw new Error(`No cache file for ${model}`);
+}
+
+describe('response cache', () => {
+  test('identical requests are served from the cache', async () => {
+    const ctx = await startProxy(env);
+    try {
+      // The entry may still be on its way to disk: the second request is a hit all the same
+      assert.equal(await generate(ctx, 'cached'), 'MISS');
+      assert.equal(await generate(ctx, 'cached'), 'HIT');
+      assert.equal(ctx.upstream.requests.length, 1);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('after a restart the TTL still counts from the stored time, not the file times', async () => {
+    const first = await startProxy(env);
+    try {
+      assert.equal(await generate(first, 'aged'), 'MISS');
+    } finally {
+      await first.close();
+    }
+    // Written by the time close() resolves. Stored two hours ago, but touched just now, as a hit or a copy would leave it
+    const file = cacheFileFor('aged');
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    stored.storedAt = new Date(Date.now() - 2 * 3600 * 1000).toISOString();
+    fs.writeFileSync(file, JSON.stringify(stored));
+
+    const restarted = await startProxy(env);
+    try {
+      assert.equal(await generate(restarted, 'cached'), 'HIT');
+      assert.equal(await generate(restarted, 'aged'), 'MISS');
+      assert.deepEqual(restarted.upstream.requests.map((r) => r.url), ['/v1beta/models/aged:generateContent']);
+    } finally {
+      await restarted.close();
+    }
+  });
+
+  test('clients, API keys and upstream routes do not share entries', async () => {
+    const authFile = path.join(os.tmpdir(), `proxy-cache-auth-${process.pid}.json`);
+    fs.writeFileSync(authFile, JSON.stringify({ clients: [{ name: 'alice', token: 'alice-token' }, { name: 'bob', token: 'bob-token' }] }));
+    const ctx = await startProxy({ ...env, AUTH_FILE: authFile });
+    try {
+      const as = (token, key) => ({ 'x-proxy-token': token, 'x-goog-api-key': key });
+      assert.equal(await generate(ctx, 'scoped', as('alice-token', 'key-1')), 'MISS');
+      assert.equal(await generate(ctx, 'scoped', as('alice-token', 'key-1')), 'HIT');
+      assert.equal(await generate(ctx, 'scoped', as('bob-token', 'key-1')), 'MISS');
+      assert.equal(await generate(ctx, 'scoped', as('alice-token', 'key-2')), 'MISS');
+      assert.equal(ctx.upstream.requests.length, 3);
+    } finally {
+      await ctx.close();
+      fs.rmSync(authFile, { force: true });
+    }
+
+    // The same request routed to another upstream after a restart
+    const other = await startFakeUpstream();
+    const routesFile = path.join(os.tmpdir(), `proxy-cache-routes-${process.pid}.json`);
+    fs.writeFileSync(routesFile, JSON.stringify({ routes: [{ name: 'elsewhere', model: 'routed', base: other.url }] }));
+    const first = await startProxy(env);
+    try {
+      assert.equal(await generate(first, 'routed'), 'MISS');
+      assert.equal(await generate(first, 'routed'), 'HIT');
+    } finally {
+      await first.close();
+    }
+    const rerouted = await startProxy({ ...env, ROUTES_FILE: routesFile });
+    try {
+      assert.equal(await generate(rerouted, 'routed'), 'MISS');
+      assert.equal(other.requests.length, 1);
+    } finally {
+      await rerouted.close();
+      await other.close();
+      fs.rmSync(routesFile, { force: true });
+    }
+  });
+});
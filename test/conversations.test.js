@@ -0,0 +1,80 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+
+const ROUTE = '/v1beta/models/gemini-2.5-flash:generateContent';
+const user = (text) => ({ role: 'user', parts: [{ text }] });
+const model = (text) => ({ role: 'model', parts: [{ text }] });
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+// Sends `contents` and resolves to its request and response entries
+async function send(contents, headers = {}, route = ROUTE) {
+  const resp = await fetch(ctx.url + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ contents }),
+  });
+  await resp.text();
+  const id = resp.headers.get('x-proxy-request-id');
+  const request = await ctx.waitForEntry((e) => e.type === 'request' && e.id === id);
+  const response = await ctx.waitForEntry((e) => e.type === 'response' && e.id === id);
+  return { request, response };
+}
+
+describe('conversation threading', () => {
+  test('a request resending an earlier history joins its conversation', async () => {
+    const history = [user('Plan a trip'), model('Where to?'), user('Lisbon')];
+    const first = await send(history.slice(0, 1));
+    const second = await send(history);
+    assert.match(first.request.conversationId, /^c-/);
+    assert.equal(second.request.conversationId, first.request.conversationId);
+    assert.deepEqual([first.request.turn, second.request.turn], [1, 2]);
+    assert.deepEqual([first.request.newFrom, second.request.newFrom], [0, 1]);
+    // Both halves of a turn carry it
+    assert.equal(second.response.conversationId, first.request.conversationId);
+    assert.equal(second.response.turn, 2);
+  });
+
+  test('side calls sharing the history do not break the thread', async () => {
+    const history = [user('Write a poem'), model('About what?'), user('The sea')];
+    const main = await send(history);
+    const side = await send(history, {}, '/v1beta/models/gemini-2.5-flash:countTokens');
+    const next = await send([...history, model('Waves...'), user('Shorter')]);
+    assert.equal(side.request.conversationId, main.request.conversationId);
+    assert.equal(next.request.conversationId, main.request.conversationId);
+    // Matched on the longest earlier history: only the two new messages are new
+    assert.equal(next.request.newFrom, 3);
+    assert.equal(next.request.turn, 3);
+  });
+
+  test('an unrelated history starts a new conversation', async () => {
+    const a = await send([user('First topic')]);
+    const b = await send([user('Second topic')]);
+    assert.notEqual(a.request.conversationId, b.request.conversationId);
+    assert.equal(b.request.turn, 1);
+  });
+
+  test('without a prefix match, the session header keeps the conversation', async () => {
+    const session = { 'x-session-id': 'session-42' };
+    const first = await send([user('Long chat'), model('Sure'), user('Go on')], session);
+    // The client compressed its history: no earlier request is a prefix any more
+    const compressed = await send([user('Summary of the chat so far'), user('Go on')], session);
+    assert.equal(compressed.request.conversationId, first.request.conversationId);
+    assert.equal(compressed.request.turn, 2);
+    assert.equal(compressed.request.newFrom, 0);
+    assert.equal(compressed.request.session, 'session-42');
+
+    // Another compressed history without the header is a conversation of its own
+    const anonymous = await send([user('Another summary'), user('Go on')]);
+    assert.notEqual(anonymous.request.conversationId, first.request.conversationId);
+  });
+});
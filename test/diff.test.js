@@ -0,0 +1,95 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+
+const ROUTE = '/v1beta/models/gemini-2.5-flash:generateContent';
+const LONG_TEXT = 'Plan a three day trip to Lisbon with a museum, a long walk by the river and a dinner somewhere quiet.';
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+// Sends `body` and resolves to its request id once both log entries are written
+async function generate(body) {
+  const resp = await fetch(ctx.url + ROUTE, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  await resp.text();
+  const id = resp.headers.get('x-proxy-request-id');
+  await ctx.waitForEntry((e) => e.type === 'response' && e.id === id);
+  return id;
+}
+
+async function diff(params) {
+  const resp = await fetch(`${ctx.url}/logs/diff?${new URLSearchParams(params)}`);
+  return { status: resp.status, body: await resp.json() };
+}
+
+describe('exchange diff', () => {
+  let first;
+  let second;
+
+  before(async () => {
+    const opening = { role: 'user', parts: [{ text: 'Plan a trip' }] };
+    first = await generate({ contents: [opening], generationConfig: { temperature: 0.2 } });
+    second = await generate({
+      contents: [opening, { role: 'model', parts: [{ text: 'Hello world' }] }, { role: 'user', parts: [{ text: 'Shorter' }] }],
+      generationConfig: { temperature: 0.9, topK: 40 },
+    });
+  });
+
+  test('request fields are compared path by path, responses on their extracted fields', async () => {
+    const { status, body } = await diff({ a: first, b: second });
+    assert.equal(status, 200);
+    assert.equal(body.a.id, first);
+    assert.equal(body.b.id, second);
+    assert.equal(body.identical, false);
+    assert.deepEqual(Object.keys(body.request), ['contents', 'generationConfig']);
+    assert.deepEqual(body.request.generationConfig, [
+      { path: 'generationConfig.temperature', op: 'replace', from: 0.2, to: 0.9 },
+      { path: 'generationConfig.topK', op: 'add', to: 40 },
+    ]);
+    assert.deepEqual(body.request.contents.map((c) => [c.path, c.op]), [['contents[1]', 'add'], ['contents[2]', 'add']]);
+    // The fake upstream gives the same answer to both
+    assert.deepEqual(body.response, {});
+  });
+
+  test('without b, an exchange is compared with the previous turn of its conversation', async () => {
+    const { status, body } = await diff({ a: second });
+    assert.equal(status, 200);
+    assert.equal(body.a.id, first);
+    assert.equal(body.b.id, second);
+    assert.equal(body.a.conversationId, body.b.conversationId);
+    assert.deepEqual([body.a.turn, body.b.turn], [1, 2]);
+    assert.deepEqual(body.request, (await diff({ a: first, b: second })).body.request);
+  });
+
+  test('an exchange is identical to itself', async () => {
+    const { body } = await diff({ a: first, b: first });
+    assert.equal(body.identical, true);
+    assert.deepEqual(body.request, {});
+    assert.deepEqual(body.response, {});
+  });
+
+  test('long text replacements carry a word-level textDiff', async () => {
+    const a = await generate({ contents: [{ role: 'user', parts: [{ text: LONG_TEXT }] }] });
+    const b = await generate({ contents: [{ role: 'user', parts: [{ text: LONG_TEXT.replace('three day', 'five day') }] }] });
+    const { body } = await diff({ a, b });
+    const [change] = body.request.contents;
+    assert.equal(change.path, 'contents[0].parts[0].text');
+    assert.equal(change.op, 'replace');
+    const edits = change.textDiff.filter((d) => d.op !== 'equal').map((d) => [d.op, d.text]);
+    assert.deepEqual(edits, [['remove', 'three'], ['add', 'five']]);
+    assert.equal(change.textDiff.map((d) => (d.op === 'add' ? '' : d.text)).join(''), LONG_TEXT);
+  });
+
+  test('a missing a is a 400, an unknown id or a first turn a 404', async () => {
+    assert.equal((await diff({})).status, 400);
+    assert.equal((await diff({ a: first, b: 'no-such-id' })).status, 404);
+    assert.equal((await diff({ a: first })).status, 404);
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { exchangeCollector, checkExportFormat } = require('../log-export');
+const { startProxy } = require('./support/proxy');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'export-logs.js');
+const API_KEY = `AIza${'x'.repeat(35)}`;
+
+const request = (id, ts, extra = {}) => ({ ts, id, type: 'request', route: '/v1beta/models/m:generateContent', body: {}, ...extra });
+const response = (id, ts, extra = {}) => ({ ts, id, type: 'response', route: '/v1beta/models/m:generateContent', status: 200, ...extra });
+
+describe('exchange collector', () => {
+  test('filters while collecting and drops the responses of filtered-out requests', () => {
+    const collector = exchangeCollector({ from: '2025-06-02T00:00:00Z', session: 's-1' });
+    const entries = [
+      request('early', '2025-06-01T10:00:00Z', { session: 's-1' }),
+      request('kept', '2025-06-02T10:00:00Z', { session: 's-1' }),
+      request('other-session', '2025-06-02T10:00:01Z', { session: 's-2' }),
+      response('early', '2025-06-02T00:00:05Z'),
+      response('other-session', '2025-06-02T10:00:02Z'),
+      response('kept', '2025-06-02T10:00:03Z'),
+    ];
+    entries.forEach(collector.add);
+    const exchanges = collector.finish();
+    assert.deepEqual(exchanges.map((x) => x.id), ['kept']);
+    assert.equal(exchanges[0].response.ts, '2025-06-02T10:00:03Z');
+  });
+
+  test('a response whose request was rotated away is judged on its own fields', () => {
+    const collector = exchangeCollector({ to: '2025-06-02T00:00:00Z', conversationId: 'c-1' });
+    collector.add(response('orphan', '2025-06-01T10:00:00Z', { conversationId: 'c-1' }));
+    collector.add(response('late', '2025-06-03T10:00:00Z', { conversationId: 'c-1' }));
+    collector.add(response('elsewhere', '2025-06-01T10:00:00Z', { conversationId: 'c-2' }));
+    assert.deepEqual(collector.finish().map((x) => x.id), ['orphan']);
+  });
+
+  test('unknown formats are refused with a 400', () => {
+    assert.throws(() => checkExportFormat('xml'), { status: 400 });
+    assert.doesNotThrow(() => checkExportFormat('otel'));
+  });
+});
+
+describe('export redaction', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-export-'));
+    fs.mkdirSync(path.join(dir, 'logs'));
+    // Written before the rules existed: nothing here is masked yet
+    const entries = [
+      request('r-1', '2025-06-02T10:00:00Z', {
+        target: `http://upstream/v1beta/models/m:generateContent?key=${API_KEY}`,
+        body: { systemInstruction: { parts: [{ text: 'internal system prompt' }] }, contents: [{ role: 'user', parts: [{ text: `my key is ${API_KEY}` }] }] },
+      }),
+      response('r-1', '2025-06-02T10:00:01Z', { content: 'ok' }),
+    ];
+    fs.writeFileSync(path.join(dir, 'logs', 'requests.ndjson'), entries.map((e) => JSON.stringify(e)).join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'redact-rules.json'), JSON.stringify({ paths: ['body.systemInstruction'] }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the CLI applies the redaction rules', () => {
+    const out = execFileSync(process.execPath, [CLI, '--format', 'har', '--log-dir', path.join(dir, 'logs'), '--redact-rules', path.join(dir, 'redact-rules.json')], { encoding: 'utf8' });
+    const har = JSON.parse(out);
+    assert.equal(har.log.entries.length, 1);
+    assert.ok(!out.includes(API_KEY));
+    assert.ok(!out.includes('internal system prompt'));
+    assert.match(har.log.entries[0].request.postData.text, /"systemInstruction":"\[REDACTED\]"/);
+  });
+
+  test('the CLI refuses an unknown format', () => {
+    assert.throws(
+      () => execFileSync(process.execPath, [CLI, '--format', 'xml', '--log-dir', path.join(dir, 'logs')], { encoding: 'utf8', stdio: 'pipe' }),
+      (err) => err.status === 1 && /Unknown export format "xml"/.test(err.stderr),
+    );
+  });
+
+  test('/logs/export refuses an unknown format', async () => {
+    const ctx = await startProxy();
+    try {
+      const resp = await fetch(ctx.url + '/logs/export?format=xml');
+      assert.equal(resp.status, 400);
+      assert.match((await resp.json()).error, /Unknown export format/);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
+
+describe('/logs/export', () => {
+  let ctx;
+  let conversation;
+
+  const generate = (contents, query = '') => fetch(`${ctx.url}/v1beta/models/gemini-2.5-flash:generateContent${query}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ contents, generationConfig: { temperature: 0.5 } }),
+  }).then((r) => r.text());
+
+  before(async () => {
+    ctx = await startProxy();
+    const opening = { role: 'user', parts: [{ text: 'Open a.txt' }] };
+    await generate([opening], `?key=${API_KEY}`);
+    await generate([opening, { role: 'model', parts: [{ text: 'Hello world' }] }, { role: 'user', parts: [{ text: 'And b.txt' }] }]);
+    await generate([{ role: 'user', parts: [{ text: 'Unrelated' }] }]);
+    const entries = () => ctx.readEntries().filter((e) => e.type === 'response');
+    await ctx.waitForEntry(() => entries().length === 3);
+    conversation = ctx.readEntries().find((e) => e.type === 'request').conversationId;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  async function exportAs(params) {
+    const resp = await fetch(`${ctx.url}/logs/export?${new URLSearchParams(params)}`);
+    assert.equal(resp.status, 200);
+    return { resp, text: await resp.text() };
+  }
+
+  test('har holds every exchange, linked back to the log, and no API key', async () => {
+    const { resp, text } = await exportAs({ format: 'har' });
+    assert.match(resp.headers.get('content-disposition'), /^attachment; filename="proxy-logs-\d{8}T\d{6}\.har"$/);
+    const har = JSON.parse(text);
+    assert.equal(har.log.version, '1.2');
+    assert.equal(har.log.entries.length, 3);
+    const [first] = har.log.entries;
+    assert.equal(first._conversationId, conversation);
+    assert.equal(first._turn, 1);
+    assert.equal(first.response.status, 200);
+    assert.ok(!text.includes(API_KEY));
+  });
+
+  test('jsonl keeps one prompt/completion line per exchange of the conversation', async () => {
+    const { resp, text } = await exportAs({ format: 'jsonl', conversationId: conversation });
+    assert.match(resp.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.match(resp.headers.get('content-disposition'), new RegExp(`filename="proxy-logs-${conversation}\\.jsonl"`));
+    const lines = text.trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => l.metadata.turn), [1, 2]);
+    const [line] = lines;
+    assert.deepEqual(line.prompt.contents, [{ role: 'user', parts: [{ text: 'Open a.txt' }] }]);
+    assert.equal(line.completion.text, 'Hello world');
+    assert.deepEqual(line.completion.tool_calls, [{ name: 'read_file', arguments: '{"path":"a.txt"}' }]);
+    assert.equal(line.completion.finish_reason, 'STOP');
+    assert.equal(line.metadata.model, 'gemini-2.5-flash');
+    assert.equal(line.metadata.usage.totalTokenCount, 22);
+  });
+
+  test('otel gives one span per exchange, the turns of a conversation sharing a trace', async () => {
+    const { text } = await exportAs({ format: 'otel' });
+    const { spans } = JSON.parse(text).resourceSpans[0].scopeSpans[0];
+    assert.equal(spans.length, 3);
+    assert.equal(spans[0].traceId, spans[1].traceId);
+    assert.notEqual(spans[0].traceId, spans[2].traceId);
+    const attributes = Object.fromEntries(spans[0].attributes.map((a) => [a.key, a.value]));
+    assert.equal(spans[0].name, 'chat gemini-2.5-flash');
+    assert.deepEqual(attributes['gen_ai.request.temperature'], { doubleValue: 0.5 });
+    assert.deepEqual(attributes['gen_ai.usage.input_tokens'], { intValue: '12' });
+    assert.deepEqual(attributes['gen_ai.usage.output_tokens'], { intValue: '10' });
+    assert.deepEqual(attributes['gen_ai.conversation.id'], { stringValue: conversation });
+    assert.deepEqual(spans[0].status, { code: 1 });
+  });
+
+  test('from and to filter on the request time', async () => {
+    const { text } = await exportAs({ format: 'har', from: new Date(Date.now() + 60000).toISOString() });
+    assert.deepEqual(JSON.parse(text).log.entries, []);
+  });
+});
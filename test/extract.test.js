@@ -0,0 +1,144 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+const { geminiChunks, geminiResponse, OPENAI_CHUNKS, USAGE } = require('./support/fake-upstream');
+
+let ctx;
+let extractContent;
+let extractToolCalls;
+let extractGeminiFields;
+
+before(async () => {
+  ctx = await startProxy();
+  ({ extractContent, extractToolCalls, extractGeminiFields } = ctx.proxy);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const JSON_HEADERS = { 'content-type': 'application/json' };
+const SSE_HEADERS = { 'content-type': 'text/event-stream' };
+const sse = (events) => events.map((e) => `data: ${JSON.stringify(e)}\r\n\r\n`).join('');
+const READ_FILE = { name: 'read_file', arguments: '{"path":"a.txt"}' };
+
+describe('Gemini bodies', () => {
+  const shapes = {
+    'generateContent JSON': [JSON.stringify(geminiResponse('m')), JSON_HEADERS],
+    'streamGenerateContent JSON array': [JSON.stringify(geminiChunks('m')), JSON_HEADERS],
+    'streamGenerateContent SSE': [sse(geminiChunks('m')), SSE_HEADERS],
+  };
+
+  for (const [name, [body, headers]] of Object.entries(shapes)) {
+    test(`${name}: text, tool calls and Gemini fields`, () => {
+      assert.equal(extractContent(body, headers), 'Hello world');
+      assert.deepEqual(extractToolCalls(body, headers), [READ_FILE]);
+      assert.deepEqual(extractGeminiFields(body, headers), {
+        thoughts: 'thinking it over',
+        finish_reason: 'STOP',
+        usage: USAGE,
+        model_version: 'm',
+      });
+    });
+  }
+
+  test('code execution, safety ratings and prompt feedback are kept', () => {
+    const body = JSON.stringify({
+      candidates: [{
+        content: { parts: [{ executableCode: { language: 'PYTHON', code: 'print(1)' } }, { codeExecutionResult: { outcome: 'OUTCOME_OK', output: '1' } }] },
+        finishReason: 'SAFETY',
+        safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'LOW' }],
+      }],
+      promptFeedback: { blockReason: 'OTHER' },
+    });
+    const fields = extractGeminiFields(body, JSON_HEADERS);
+    assert.equal(fields.code_execution.length, 2);
+    assert.equal(fields.finish_reason, 'SAFETY');
+    assert.deepEqual(fields.safety_ratings, [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'LOW' }]);
+    assert.deepEqual(fields.prompt_feedback, { blockReason: 'OTHER' });
+  });
+
+  test('a JSON array stream cut short yields the text of its complete chunks', () => {
+    const text = JSON.stringify(geminiChunks('m'), null, 2);
+    const cut = text.slice(0, text.indexOf('"world"'));
+    assert.equal(extractContent(cut, JSON_HEADERS), 'Hello ');
+    assert.equal(extractContent('[\n  {"candidates": [', JSON_HEADERS), '');
+  });
+
+  test('candidate 0 gives content and fields, the other candidates are listed apart', () => {
+    const candidate = (index, text, extra = {}) => ({ index, content: { role: 'model', parts: [{ text }] }, ...extra });
+    const json = JSON.stringify({
+      candidates: [
+        candidate(0, 'Hello', { finishReason: 'STOP' }),
+        { ...candidate(1, 'Hi there', { finishReason: 'MAX_TOKENS' }), content: { parts: [{ text: 'Hi there' }, { functionCall: { name: 'read_file', args: { path: 'a.txt' } } }] } },
+      ],
+      usageMetadata: USAGE,
+    });
+    // Streamed, each candidate arrives in chunks of its own, interleaved
+    const chunks = [
+      { candidates: [candidate(1, 'Hi ')] },
+      { candidates: [candidate(0, 'Hel')] },
+      { candidates: [candidate(0, 'lo', { finishReason: 'STOP' })] },
+      { candidates: [{ ...candidate(1, 'there', { finishReason: 'MAX_TOKENS' }), content: { parts: [{ text: 'there' }, { functionCall: { name: 'read_file', args: { path: 'a.txt' } } }] } }], usageMetadata: USAGE },
+    ];
+    for (const [body, headers] of [[json, JSON_HEADERS], [JSON.stringify(chunks), JSON_HEADERS], [sse(chunks), SSE_HEADERS]]) {
+      assert.equal(extractContent(body, headers), 'Hello');
+      assert.deepEqual(extractToolCalls(body, headers), []);
+      assert.deepEqual(extractGeminiFields(body, headers), {
+        finish_reason: 'STOP',
+        usage: USAGE,
+        other_candidates: [{ index: 1, content: 'Hi there', tool_calls: [READ_FILE], finish_reason: 'MAX_TOKENS' }],
+      });
+    }
+  });
+
+  test('a JSON array stream cut short keeps the tool calls, usage and finish reason of its complete chunks', () => {
+    const chunks = [
+      { candidates: [{ index: 0, content: { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'a.txt' } } }] } }] },
+      { candidates: [{ index: 0, content: { role: 'model', parts: [{ text: 'Reading' }] }, finishReason: 'STOP' }], usageMetadata: USAGE },
+      { candidates: [{ index: 0, content: { role: 'model', parts: [{ text: ' the file' }] } }] },
+    ];
+    const text = JSON.stringify(chunks, null, 2);
+    const cut = text.slice(0, text.indexOf('" the file"'));
+    assert.equal(extractContent(cut, JSON_HEADERS), 'Reading');
+    assert.deepEqual(extractToolCalls(cut, JSON_HEADERS), [READ_FILE]);
+    assert.deepEqual(extractGeminiFields(cut, JSON_HEADERS), { finish_reason: 'STOP', usage: USAGE });
+  });
+
+  test('error bodies and non-JSON text yield nothing', () => {
+    const error = JSON.stringify({ error: { code: 400, message: 'bad', status: 'INVALID_ARGUMENT' } });
+    assert.deepEqual(extractToolCalls(error, JSON_HEADERS), []);
+    assert.deepEqual(extractGeminiFields(error, JSON_HEADERS), {});
+    assert.deepEqual(extractGeminiFields('not json', JSON_HEADERS), {});
+    assert.deepEqual(extractToolCalls('data: {broken\n\n', SSE_HEADERS), []);
+  });
+});
+
+describe('OpenAI bodies', () => {
+  test('chat completion JSON: message content and tool calls', () => {
+    const body = JSON.stringify({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Sure',
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }],
+        },
+      }],
+    });
+    assert.equal(extractContent(body, JSON_HEADERS), 'Sure');
+    assert.deepEqual(extractToolCalls(body, JSON_HEADERS), [READ_FILE]);
+  });
+
+  test('SSE: tool call arguments are joined across chunks, by index', () => {
+    const body = sse(OPENAI_CHUNKS) + 'data: [DONE]\n\n';
+    assert.deepEqual(extractToolCalls(body, SSE_HEADERS), [READ_FILE, { name: 'ls', arguments: '{}' }]);
+  });
+
+  test('SSE: text deltas are concatenated', () => {
+    const body = sse([
+      { choices: [{ index: 0, delta: { role: 'assistant', content: 'Hel' } }] },
+      { choices: [{ index: 0, delta: { content: 'lo' } }] },
+    ]) + 'data: [DONE]\n\n';
+    assert.equal(extractContent(body, SSE_HEADERS), 'Hello');
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+const { USAGE } = require('./support/fake-upstream');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+const TOKENS = { alice: 'alice-token', bob: 'bob-token', ops: 'ops-token' };
+
+// Each rule only matches its own models, so the tests do not share counters
+const LIMITS = {
+  limits: [
+    { name: 'per-client', client: '*', model: 'client-*', requestsPerMinute: 2 },
+    { name: 'per-model', model: 'model-*', requestsPerMinute: 1 },
+    { name: 'budget', model: 'budget-*', tokensPerDay: 30 },
+    { name: 'openai', model: 'openai-*', requestsPerMinute: 1 },
+  ],
+};
+
+let ctx;
+let configDir;
+let env;
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-limits-'));
+  const authFile = path.join(configDir, 'auth.json');
+  const limitsFile = path.join(configDir, 'limits.json');
+  fs.writeFileSync(authFile, JSON.stringify({ clients: Object.entries(TOKENS).map(([name, token]) => ({ name, token, role: name === 'ops' ? 'admin' : 'user' })) }));
+  fs.writeFileSync(limitsFile, JSON.stringify(LIMITS));
+  env = { AUTH_FILE: authFile, LIMITS_FILE: limitsFile, OPENAI_COMPAT: 'true' };
+  ctx = await startProxy(env);
+});
+
+after(async () => {
+  await ctx.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+async function generate(model, client = 'alice', base = ctx.url) {
+  const resp = await fetch(`${base}/v1beta/models/${model}:generateContent`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-proxy-token': TOKENS[client] },
+    body: JSON.stringify(REQUEST_BODY),
+  });
+  return { status: resp.status, headers: resp.headers, body: await resp.json() };
+}
+
+const upstreamCalls = (model) => ctx.upstream.requests.filter((r) => r.url.includes(`/models/${model}:`)).length;
+
+describe('rate limits', () => {
+  test('"client": "*" gives each client its own request rate', async () => {
+    assert.equal((await generate('client-a', 'alice')).status, 200);
+    assert.equal((await generate('client-a', 'alice')).status, 200);
+    const refused = await generate('client-a', 'alice');
+    assert.equal(refused.status, 429);
+    assert.equal((await generate('client-a', 'bob')).status, 200);
+    assert.equal(upstreamCalls('client-a'), 3);
+  });
+
+  test('a 429 is Gemini-shaped, with RetryInfo and Retry-After, and logged', async () => {
+    const refused = await generate('client-a', 'alice');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.error.code, 429);
+    assert.equal(refused.body.error.status, 'RESOURCE_EXHAUSTED');
+    assert.match(refused.body.error.message, /limit "per-client" for alice/);
+    const retryAfter = Number(refused.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(refused.body.error.details[0].retryDelay, `${retryAfter}s`);
+    const logged = await ctx.waitForEntry((e) => e.type === 'response' && e.code === 'RATE_LIMITED' && e.client === 'alice');
+    assert.equal(logged.status, 429);
+  });
+
+  test('a rule naming a model counts each matching model separately', async () => {
+    assert.equal((await generate('model-a')).status, 200);
+    assert.equal((await generate('model-a', 'bob')).status, 429);
+    assert.equal((await generate('model-b')).status, 200);
+    // Models outside the rule are not limited
+    for (let i = 0; i < 3; i++) assert.equal((await generate('unlimited')).status, 200);
+  });
+
+  test('the daily token budget refuses requests once used up', async () => {
+    // Each call costs USAGE.totalTokenCount (22): the second goes past 30, the third is refused
+    assert.equal((await generate('budget-a')).status, 200);
+    assert.equal((await generate('budget-a', 'bob')).status, 200);
+    const refused = await generate('budget-a');
+    assert.equal(refused.status, 429);
+    assert.match(refused.body.error.message, new RegExp(`Daily token budget of 30 exhausted \\(${2 * USAGE.totalTokenCount} used\\)`));
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+  });
+
+  test('the daily budget is read back from the log at startup', async () => {
+    await ctx.waitForEntry((e) => e.type === 'response' && e.model === 'budget-a' && e.status === 429);
+    const restarted = await startProxy({ ...env, LOG_DIR: ctx.app.locals.config.LOG_DIR });
+    try {
+      const budget = async () => {
+        const limits = await (await fetch(restarted.url + '/limits', { headers: { 'x-proxy-token': TOKENS.ops } })).json().catch(() => ({}));
+        return (limits.counters || []).find((c) => c.rule === 'budget');
+      };
+      for (let i = 0; i < 50 && !(await budget()); i++) await new Promise((r) => setTimeout(r, 20));
+      assert.equal((await budget()).tokensToday, 2 * USAGE.totalTokenCount);
+      assert.equal((await generate('budget-a', 'alice', restarted.url)).status, 429);
+    } finally {
+      await restarted.close();
+    }
+  });
+
+  test('under the OpenAI front end a 429 is an OpenAI rate_limit_error', async () => {
+    const chat = () => fetch(ctx.url + '/v1/chat/completions', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-proxy-token': TOKENS.alice },
+      body: JSON.stringify({ model: 'openai-a', messages: [{ role: 'user', content: 'hi' }] }),
+    });
+    assert.equal((await chat()).status, 200);
+    const refused = await chat();
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) >= 1);
+    const { error } = await refused.json();
+    assert.equal(error.type, 'rate_limit_error');
+    assert.equal(error.code, 429);
+    assert.match(error.message, /limit "openai"/);
+    await ctx.waitForEntry((e) => e.type === 'response' && e.model === 'openai-a' && e.status === 429);
+  });
+});
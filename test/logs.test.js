@@ -0,0 +1,128 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-logs-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function generate(ctx, model) {
+  return fetch(`${ctx.url}/v1beta/models/${model}:generateContent`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(REQUEST_BODY),
+  }).then((r) => r.text());
+}
+
+// Every page of /logs/data, oldest entry first
+async function readAllPages(ctx, cursor = '', limit = 3) {
+  const pages = [];
+  do {
+    const resp = await fetch(`${ctx.url}/logs/data?limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(resp.status, 200);
+    const page = await resp.json();
+    pages.unshift(page.entries);
+    cursor = page.nextCursor;
+  } while (cursor && pages.length < 100);
+  return pages.flat();
+}
+
+async function waitForSegments(logDir, count) {
+  for (let i = 0; i < 100; i++) {
+    const segments = fs.readdirSync(logDir).filter((n) => n.startsWith('requests-'));
+    if (segments.length >= count) return segments;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Fewer than ${count} segments`);
+}
+
+describe('log rotation', () => {
+  test('segments that start in the same millisecond do not overwrite each other', async () => {
+    const logDir = path.join(dir, 'same-ms');
+    fs.mkdirSync(logDir);
+    // The live file and an existing segment both start at the same instant
+    const ts = '2025-06-02T10:00:00.000Z';
+    const old = { ts, id: 'old', type: 'request', route: '/v1beta/models/old:generateContent' };
+    const live = { ts, id: 'live', type: 'request', route: '/v1beta/models/live:generateContent' };
+    fs.writeFileSync(path.join(logDir, 'requests-20250602T100000000Z.ndjson'), JSON.stringify(old) + '\n');
+    fs.writeFileSync(path.join(logDir, 'requests.ndjson'), JSON.stringify(live) + '\n');
+
+    // Every entry rotates the one before it
+    const ctx = await startProxy({ LOG_DIR: logDir, LOG_MAX_BYTES: '100' });
+    try {
+      for (const model of ['a', 'b', 'c']) await generate(ctx, model);
+      await ctx.waitForEntry((e) => e.type === 'response' && e.model === 'c');
+      await waitForSegments(logDir, 7);
+      assert.ok(fs.existsSync(path.join(logDir, 'requests-20250602T100000000Z-1.ndjson')));
+
+      const entries = await readAllPages(ctx);
+      assert.deepEqual(entries.slice(0, 2).map((e) => e.id), ['old', 'live']);
+      const models = entries.slice(2).map((e) => `${e.type}:${e.model}`);
+      assert.deepEqual(models, ['request:a', 'response:a', 'request:b', 'response:b', 'request:c', 'response:c']);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('gzipped segments are paged and searched like plain ones', async () => {
+    const ctx = await startProxy({ LOG_MAX_BYTES: '100', LOG_GZIP: 'true' });
+    const logDir = ctx.app.locals.config.LOG_DIR;
+    try {
+      for (const model of ['g1', 'g2', 'g3']) await generate(ctx, model);
+      await ctx.waitForEntry((e) => e.type === 'response' && e.model === 'g3');
+      for (let i = 0; i < 100 && fs.readdirSync(logDir).filter((n) => n.endsWith('.ndjson.gz')).length < 5; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      const entries = await readAllPages(ctx);
+      assert.deepEqual(entries.map((e) => e.model), ['g1', 'g1', 'g2', 'g2', 'g3', 'g3']);
+
+      const ids = [];
+      let cursor = '';
+      do {
+        const page = await (await fetch(`${ctx.url}/logs/search?q=hello&limit=1${cursor ? `&cursor=${cursor}` : ''}`)).json();
+        assert.ok(page.entries.every((e) => e.model));
+        ids.push(...page.entries.filter((e) => e.type === 'response').map((e) => e.model));
+        cursor = page.nextCursor;
+      } while (cursor);
+      assert.deepEqual(ids, ['g3', 'g2', 'g1']);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('a cursor issued before a restart still pages once the live file has rotated', async () => {
+    const first = await startProxy();
+    const logDir = first.app.locals.config.LOG_DIR;
+    try {
+      for (const model of ['t1', 't2', 't3']) await generate(first, model);
+      await first.waitForEntry((e) => e.type === 'response' && e.model === 't3');
+      const page = await (await fetch(`${first.url}/logs/data?limit=2`)).json();
+      assert.deepEqual(page.entries.map((e) => e.model), ['t3', 't3']);
+
+      // Restarted with a size limit the live file already reaches: the next entry rotates it
+      const restarted = await startProxy({ LOG_DIR: logDir, LOG_MAX_BYTES: String(fs.statSync(first.logFile).size + 1) });
+      try {
+        await generate(restarted, 't4');
+        await restarted.waitForEntry((e) => e.type === 'response' && e.model === 't4');
+        await waitForSegments(logDir, 1);
+        const older = await readAllPages(restarted, page.nextCursor, 10);
+        assert.deepEqual(older.map((e) => `${e.type}:${e.model}`), ['request:t1', 'response:t1', 'request:t2', 'response:t2']);
+      } finally {
+        await restarted.close();
+      }
+    } finally {
+      await first.close();
+    }
+  });
+});
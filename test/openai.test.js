@@ -0,0 +1,201 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+const { THOUGHT_SIGNATURE } = require('./support/fake-upstream');
+
+const READ_FILE_TOOL = {
+  type: 'function',
+  function: {
+    name: 'read_file',
+    description: 'Reads a file',
+    parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] },
+  },
+};
+
+const CHAT = {
+  model: 'gemini-2.5-flash',
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Open a.txt' },
+  ],
+  tools: [READ_FILE_TOOL],
+  tool_choice: 'auto',
+  max_tokens: 256,
+};
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy({ OPENAI_COMPAT: 'true' });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+function chat(body, headers = {}) {
+  return fetch(`${ctx.url}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer client-key', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+const lastUpstreamRequest = () => ctx.upstream.requests[ctx.upstream.requests.length - 1];
+
+// The `data:` payloads of an SSE body, [DONE] included as a string
+function sseData(text) {
+  return text.split('\n\n').filter(Boolean).map((ev) => {
+    const data = ev.replace(/^data: /, '');
+    return data === '[DONE]' ? data : JSON.parse(data);
+  });
+}
+
+describe('chat completions', () => {
+  test('messages and tools are sent as a Gemini request, the key as x-goog-api-key', async () => {
+    await (await chat(CHAT)).json();
+    const seen = lastUpstreamRequest();
+    assert.equal(seen.url, '/v1beta/models/gemini-2.5-flash:generateContent');
+    assert.equal(seen.headers['x-goog-api-key'], 'client-key');
+    assert.equal(seen.headers.authorization, undefined);
+    assert.deepEqual(seen.body, {
+      contents: [{ role: 'user', parts: [{ text: 'Open a.txt' }] }],
+      systemInstruction: { parts: [{ text: 'Be brief.' }] },
+      tools: [{ functionDeclarations: [{ name: 'read_file', description: 'Reads a file', parametersJsonSchema: READ_FILE_TOOL.function.parameters }] }],
+      toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
+      generationConfig: { maxOutputTokens: 256 },
+    });
+  });
+
+  test('function calls come back as tool_calls, without the thought parts', async () => {
+    const resp = await chat(CHAT);
+    assert.equal(resp.status, 200);
+    const completion = await resp.json();
+    assert.equal(completion.object, 'chat.completion');
+    assert.match(completion.id, /^chatcmpl-/);
+    const [choice] = completion.choices;
+    assert.equal(choice.message.content, 'Hello world');
+    assert.equal(choice.finish_reason, 'tool_calls');
+    assert.equal(choice.message.tool_calls.length, 1);
+    const [call] = choice.message.tool_calls;
+    assert.match(call.id, /^call_/);
+    assert.deepEqual(call.function, { name: 'read_file', arguments: '{"path":"a.txt"}' });
+    // Thinking tokens count as completion tokens
+    assert.deepEqual(completion.usage, {
+      prompt_tokens: 12,
+      completion_tokens: 10,
+      total_tokens: 22,
+      completion_tokens_details: { reasoning_tokens: 3 },
+    });
+  });
+
+  test('a replayed tool call carries its thought signature back, and its result is named after it', async () => {
+    const completion = await (await chat(CHAT)).json();
+    const [call] = completion.choices[0].message.tool_calls;
+    await (await chat({
+      ...CHAT,
+      messages: [
+        ...CHAT.messages,
+        { role: 'assistant', content: null, tool_calls: [call] },
+        { role: 'tool', tool_call_id: call.id, content: '{"text":"file contents"}' },
+      ],
+    })).json();
+    const { contents } = lastUpstreamRequest().body;
+    assert.deepEqual(contents.slice(1), [
+      { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'a.txt' } }, thoughtSignature: THOUGHT_SIGNATURE }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'read_file', response: { text: 'file contents' } } }] },
+    ]);
+
+    // A call id the proxy never handed out gets no signature
+    await (await chat({
+      ...CHAT,
+      messages: [...CHAT.messages, { role: 'assistant', tool_calls: [{ ...call, id: 'call_unknown' }] }],
+    })).json();
+    assert.equal(lastUpstreamRequest().body.contents[1].parts[0].thoughtSignature, undefined);
+  });
+
+  test('the request entry logs the Gemini request with the original under translatedFrom', async () => {
+    const body = { ...CHAT, messages: [{ role: 'user', content: 'Log me' }] };
+    await (await chat(body)).json();
+    const request = await ctx.waitForEntry((e) => e.type === 'request' && e.translatedFrom && e.translatedFrom.body.messages[0].content === 'Log me');
+    assert.equal(request.route, '/v1beta/models/gemini-2.5-flash:generateContent');
+    assert.deepEqual(request.body.contents, [{ role: 'user', parts: [{ text: 'Log me' }] }]);
+    assert.equal(request.translatedFrom.format, 'openai');
+    assert.equal(request.translatedFrom.route, '/v1/chat/completions');
+  });
+});
+
+describe('streaming', () => {
+  test('the stream is re-emitted as chat.completion.chunk events ending with [DONE]', async () => {
+    const resp = await chat({ ...CHAT, stream: true });
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(lastUpstreamRequest().url, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+    const events = sseData(await resp.text());
+
+    assert.equal(events[events.length - 1], '[DONE]');
+    const chunks = events.slice(0, -1);
+    assert.ok(chunks.every((c) => c.object === 'chat.completion.chunk' && c.id === chunks[0].id));
+    const deltas = chunks.map((c) => c.choices[0].delta);
+    assert.equal(deltas[0].role, 'assistant');
+    assert.equal(deltas.map((d) => d.content || '').join(''), 'Hello world');
+    const toolCalls = deltas.flatMap((d) => d.tool_calls || []);
+    assert.equal(toolCalls.length, 1);
+    assert.equal(toolCalls[0].index, 0);
+    assert.deepEqual(toolCalls[0].function, { name: 'read_file', arguments: '{"path":"a.txt"}' });
+    assert.deepEqual(chunks.map((c) => c.choices[0].finish_reason).filter(Boolean), ['tool_calls']);
+    // No usage chunk unless asked for
+    assert.ok(chunks.every((c) => c.usage === undefined));
+  });
+
+  test('stream_options.include_usage adds a usage chunk with no choices before [DONE]', async () => {
+    const resp = await chat({ ...CHAT, stream: true, stream_options: { include_usage: true } });
+    const events = sseData(await resp.text());
+    assert.equal(events[events.length - 1], '[DONE]');
+    const usageChunk = events[events.length - 2];
+    assert.deepEqual(usageChunk.choices, []);
+    assert.deepEqual(usageChunk.usage, {
+      prompt_tokens: 12,
+      completion_tokens: 10,
+      total_tokens: 22,
+      completion_tokens_details: { reasoning_tokens: 3 },
+    });
+  });
+
+  test('a streamed tool call carries its thought signature back too', async () => {
+    const events = sseData(await (await chat({ ...CHAT, stream: true })).text());
+    const [call] = events.slice(0, -1).flatMap((c) => c.choices[0].delta.tool_calls || []);
+    await (await chat({ ...CHAT, messages: [...CHAT.messages, { role: 'assistant', tool_calls: [{ id: call.id, type: 'function', function: call.function }] }] })).json();
+    assert.equal(lastUpstreamRequest().body.contents[1].parts[0].thoughtSignature, THOUGHT_SIGNATURE);
+  });
+});
+
+describe('errors', () => {
+  test('Gemini errors keep their status and become OpenAI error bodies', async () => {
+    const resp = await chat({ ...CHAT, model: 'error' });
+    assert.equal(resp.status, 400);
+    assert.deepEqual(await resp.json(), { error: { message: 'Invalid JSON payload received.', type: 'invalid_argument', code: 400 } });
+  });
+
+  test('an error on a streaming request is one JSON body, not a stream', async () => {
+    const resp = await chat({ ...CHAT, model: 'overloaded', stream: true });
+    assert.equal(resp.status, 503);
+    assert.match(resp.headers.get('content-type'), /json/);
+    assert.deepEqual(await resp.json(), { error: { message: 'The model is overloaded.', type: 'unavailable', code: 503 } });
+  });
+
+  test('a 429 is a rate_limit_error', async () => {
+    ctx.upstream.failNext(1, 429);
+    const resp = await chat(CHAT);
+    assert.equal(resp.status, 429);
+    assert.equal((await resp.json()).error.type, 'rate_limit_error');
+  });
+
+  test('requests that cannot be translated are refused before reaching the upstream', async () => {
+    const before = ctx.upstream.requests.length;
+    const resp = await chat({ model: 'gemini-2.5-flash', messages: [] });
+    assert.equal(resp.status, 400);
+    assert.deepEqual(await resp.json(), { error: { message: 'messages must be a non-empty array', type: 'invalid_request_error', code: 400 } });
+    assert.equal(ctx.upstream.requests.length, before);
+  });
+});
@@ -0,0 +1,486 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+const { startFakeUpstream, geminiResponse, USAGE } = require('./support/fake-upstream');
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+
+function post(route, body = REQUEST_BODY, headers = {}, signal = undefined) {
+  return fetch(ctx.url + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+const lastUpstreamRequest = () => ctx.upstream.requests[ctx.upstream.requests.length - 1];
+
+// Request and response entries of the exchange sent to `route`
+async function exchangeFor(route) {
+  const request = await ctx.waitForEntry((e) => e.type === 'request' && e.route === route);
+  const response = await ctx.waitForEntry((e) => e.type === 'response' && e.id === request.id);
+  return { request, response };
+}
+
+describe('forwarding', () => {
+  test('generateContent reaches the upstream unchanged and its answer comes back', async () => {
+    const resp = await post('/v1beta/models/gemini-2.5-flash:generateContent?key=test-key');
+    assert.equal(resp.status, 200);
+    assert.deepEqual(await resp.json(), geminiResponse('gemini-2.5-flash'));
+
+    const seen = lastUpstreamRequest();
+    assert.equal(seen.method, 'POST');
+    assert.equal(seen.url, '/v1beta/models/gemini-2.5-flash:generateContent?key=test-key');
+    assert.deepEqual(seen.body, REQUEST_BODY);
+  });
+
+  test('GET requests without a body are forwarded', async () => {
+    const resp = await fetch(ctx.url + '/v1beta/models/gemini-2.5-flash:countTokens');
+    assert.equal(resp.status, 200);
+    assert.deepEqual(await resp.json(), { totalTokens: 12 });
+    assert.equal(lastUpstreamRequest().method, 'GET');
+    assert.equal(lastUpstreamRequest().body, undefined);
+  });
+
+  test('streamGenerateContent is relayed as the same JSON array', async () => {
+    const resp = await post('/v1beta/models/gemini-2.5-pro:streamGenerateContent');
+    assert.equal(resp.status, 200);
+    const chunks = JSON.parse(await resp.text());
+    assert.equal(chunks.length, 3);
+    assert.deepEqual(chunks[2].usageMetadata, USAGE);
+  });
+
+  test('alt=sse streams keep their events', async () => {
+    const resp = await post('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse');
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get('content-type'), /text\/event-stream/);
+    const events = (await resp.text()).split(/\r?\n\r?\n/).filter((e) => e.startsWith('data:'));
+    assert.equal(events.length, 3);
+  });
+
+  test('slow streams are passed on chunk by chunk, not buffered', async () => {
+    const started = Date.now();
+    const resp = await post('/v1beta/models/slow:streamGenerateContent?alt=sse');
+    const reader = resp.body.getReader();
+    const first = await reader.read();
+    const firstAt = Date.now() - started;
+    assert.ok(!first.done);
+    while (!(await reader.read()).done);
+    const endAt = Date.now() - started;
+    // Three chunks 150 ms apart: the first one must arrive well before the last
+    assert.ok(endAt - firstAt >= 200, `first chunk at ${firstAt} ms, end at ${endAt} ms`);
+  });
+
+  test('upstream errors are forwarded with their status and body', async () => {
+    const bad = await post('/v1beta/models/error:generateContent');
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error.status, 'INVALID_ARGUMENT');
+
+    const busy = await post('/v1beta/models/overloaded:generateContent');
+    assert.equal(busy.status, 503);
+    assert.equal((await busy.json()).error.status, 'UNAVAILABLE');
+  });
+});
+
+describe('header sanitizing', () => {
+  test('hop-by-hop request headers are dropped, the rest is forwarded', async () => {
+    // fetch refuses to send hop-by-hop headers, so this one goes through http.request
+    await new Promise((resolve, reject) => {
+      const req = http.request(ctx.url + '/v1beta/models/gemini-2.5-flash:generateContent', {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-goog-api-key': 'client-key',
+          'x-custom': 'yes',
+          'proxy-connection': 'keep-alive',
+          'keep-alive': 'timeout=5',
+          te: 'trailers',
+        },
+      }, (res) => res.resume().on('end', resolve));
+      req.on('error', reject);
+      req.end(JSON.stringify(REQUEST_BODY));
+    });
+    const { headers } = lastUpstreamRequest();
+    assert.equal(headers['x-goog-api-key'], 'client-key');
+    assert.equal(headers['x-custom'], 'yes');
+    assert.equal(headers['proxy-connection'], undefined);
+    assert.equal(headers['keep-alive'], undefined);
+    assert.equal(headers.te, undefined);
+    // Host is the upstream's, not the proxy's
+    assert.equal(headers.host, new URL(ctx.upstream.url).host);
+  });
+
+  test('responses lose upstream encoding headers but keep the others', async () => {
+    const resp = await post('/v1beta/models/gemini-2.5-flash:generateContent');
+    const text = await resp.text();
+    assert.equal(resp.headers.get('x-upstream-extra'), 'kept');
+    assert.equal(resp.headers.get('content-encoding'), null);
+    assert.equal(Number(resp.headers.get('content-length')), Buffer.byteLength(text));
+  });
+});
+
+describe('log entries', () => {
+  test('a generateContent exchange is logged as a request and a response entry', async () => {
+    const route = '/v1beta/models/log-shape:generateContent';
+    await (await post(route)).text();
+    const { request, response } = await exchangeFor(route);
+
+    assert.equal(request.method, 'POST');
+    assert.equal(request.model, 'log-shape');
+    assert.equal(request.upstream, 'default');
+    assert.equal(request.target, ctx.upstream.url + route);
+    assert.deepEqual(request.body, REQUEST_BODY);
+    assert.ok(request.session);
+    assert.ok(!Number.isNaN(Date.parse(request.ts)));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.model, 'log-shape');
+    assert.equal(response.content, 'Hello world');
+    assert.equal(response.thoughts, 'thinking it over');
+    assert.deepEqual(response.tool_calls, [{ name: 'read_file', arguments: '{"path":"a.txt"}' }]);
+    assert.equal(response.finish_reason, 'STOP');
+    assert.deepEqual(response.usage, USAGE);
+    assert.equal(response.model_version, 'log-shape');
+    assert.equal(typeof response.duration_ms, 'number');
+    assert.equal(response.conversationId, request.conversationId);
+  });
+
+  test('streamed responses are logged once complete', async () => {
+    for (const route of ['/v1beta/models/log-array:streamGenerateContent', '/v1beta/models/log-sse:streamGenerateContent?alt=sse']) {
+      await (await post(route)).text();
+      const { response } = await exchangeFor(route);
+      assert.equal(response.content, 'Hello world', route);
+      assert.deepEqual(response.tool_calls, [{ name: 'read_file', arguments: '{"path":"a.txt"}' }], route);
+      assert.deepEqual(response.usage, USAGE, route);
+      assert.equal(response.outcome, 'completed', route);
+    }
+  });
+
+  test('OpenAI tool_calls split across SSE chunks are merged', async () => {
+    const route = '/v1/chat/completions';
+    await (await post(route, { model: 'gpt-test', stream: true, messages: [{ role: 'user', content: 'hi' }] })).text();
+    const { response } = await exchangeFor(route);
+    assert.deepEqual(response.tool_calls, [
+      { name: 'read_file', arguments: '{"path":"a.txt"}' },
+      { name: 'ls', arguments: '{}' },
+    ]);
+  });
+
+  test('upstream errors are logged with their status', async () => {
+    const route = '/v1beta/models/error:generateContent';
+    const { response } = await exchangeFor(route);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.status, 'INVALID_ARGUMENT');
+  });
+
+  test('API keys never reach the log file', async () => {
+    const route = '/v1beta/models/log-secret:generateContent?key=very-secret-key';
+    await (await post(route, REQUEST_BODY, { 'x-goog-api-key': 'header-secret-key' })).text();
+    await ctx.waitForEntry((e) => e.type === 'response' && e.model === 'log-secret');
+    const text = fs.readFileSync(ctx.logFile, 'utf8');
+    assert.ok(!text.includes('very-secret-key'));
+    assert.ok(!text.includes('header-secret-key'));
+  });
+});
+
+describe('cancellations and partial streams', () => {
+  test('a client leaving mid-stream aborts the upstream call and the partial answer is logged', async () => {
+    const route = '/v1beta/models/slow:streamGenerateContent?alt=sse&case=abort';
+    const controller = new AbortController();
+    const resp = await post(route, REQUEST_BODY, {}, controller.signal);
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    while (!received.includes('Hello')) received += decoder.decode((await reader.read()).value, { stream: true });
+    controller.abort();
+
+    const { response } = await exchangeFor(route);
+    assert.equal(response.outcome, 'client_aborted');
+    assert.equal(response.code, 'CLIENT_ABORTED');
+    assert.equal(response.content, 'Hello ');
+    assert.equal(response.timing.chunks, 2);
+    assert.ok(!response.usage);
+    const seen = ctx.upstream.requests.find((r) => r.url.endsWith('case=abort'));
+    for (let i = 0; i < 50 && !seen.aborted; i++) await new Promise((r) => setTimeout(r, 20));
+    assert.equal(seen.aborted, true);
+  });
+
+  test('a stream the upstream drops is logged with what arrived', async () => {
+    const route = '/v1beta/models/broken:streamGenerateContent?alt=sse';
+    const resp = await post(route);
+    assert.equal(resp.status, 200);
+    await resp.text().catch(() => '');
+    const { response } = await exchangeFor(route);
+    assert.equal(response.outcome, 'upstream_error');
+    assert.equal(response.content, 'Hello ');
+    assert.ok(response.error);
+  });
+
+  test('a buffered body that stalls after the headers times out', async () => {
+    const own = await startProxy({ UPSTREAM_TIMEOUT_MS: '300' });
+    try {
+      const route = '/v1beta/models/stalled:generateContent';
+      const startedAt = Date.now();
+      const resp = await fetch(own.url + route, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(REQUEST_BODY) });
+      assert.equal(resp.status, 504);
+      await resp.arrayBuffer();
+      assert.ok(Date.now() - startedAt < 2000);
+      const response = await own.waitForEntry((e) => e.type === 'response' && e.route === route);
+      assert.equal(response.outcome, 'timeout');
+      assert.equal(response.code, 'UPSTREAM_TIMEOUT');
+      assert.match(response.error, /body not received within 300 ms/);
+      assert.ok(response.timing.bytes > 0);
+      const seen = own.upstream.requests[0];
+      for (let i = 0; i < 50 && !seen.aborted; i++) await new Promise((r) => setTimeout(r, 20));
+      assert.equal(seen.aborted, true);
+    } finally {
+      await own.close();
+    }
+  });
+});
+
+describe('resumable uploads', () => {
+  // The first two steps of a resumable upload through `proxy`: the start request, then the bytes
+  async function upload(proxy, startRoute) {
+    const start = await fetch(proxy.url + startRoute, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-goog-upload-protocol': 'resumable', 'x-goog-upload-command': 'start' },
+      body: JSON.stringify({ file: { display_name: 'notes' } }),
+    });
+    assert.equal(start.status, 200);
+    const uploadUrl = start.headers.get('x-goog-upload-url');
+    const finish = await fetch(uploadUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/octet-stream', 'x-goog-upload-command': 'upload, finalize', 'x-goog-upload-offset': '0' },
+      body: 'hello upload',
+    });
+    assert.equal(finish.status, 200);
+    return { uploadUrl, file: (await finish.json()).file };
+  }
+
+  test('an upload started on a fallback base is sent there, under ROUTE_PREFIX', async () => {
+    const dead = http.createServer();
+    await new Promise((resolve) => dead.listen(0, '127.0.0.1', resolve));
+    const deadBase = `http://127.0.0.1:${dead.address().port}`;
+    await new Promise((resolve) => dead.close(resolve));
+    const fallback = await startFakeUpstream();
+    const own = await startProxy({ API_BASE: deadBase, FALLBACK_API_BASES: fallback.url, ROUTE_PREFIX: '/v1beta' });
+    try {
+      const { uploadUrl, file } = await upload(own, '/v1beta/files');
+      assert.match(uploadUrl, new RegExp(`^${own.url}/v1beta/upload/v1beta/files\\?upload_id=`));
+      assert.equal(file.sizeBytes, '12');
+      const chunk = fallback.requests[fallback.requests.length - 1];
+      assert.equal(chunk.url, `/upload/v1beta/files?upload_id=${file.name.slice('files/'.length)}&upload_protocol=resumable`);
+      assert.equal(chunk.body, 'hello upload');
+      assert.equal(own.upstream.requests.length, 0);
+    } finally {
+      await own.close();
+      await fallback.close();
+    }
+  });
+
+  test('an upload started on a routed upstream is sent to that upstream', async () => {
+    const files = await startFakeUpstream();
+    const routesFile = path.join(os.tmpdir(), `proxy-routes-${process.pid}.json`);
+    fs.writeFileSync(routesFile, JSON.stringify({ routes: [{ name: 'files', prefix: '/files-api', stripPrefix: true, base: files.url }] }));
+    const own = await startProxy({ ROUTES_FILE: routesFile });
+    try {
+      const { uploadUrl, file } = await upload(own, '/files-api/upload/v1beta/files');
+      assert.ok(uploadUrl.startsWith(`${own.url}/upload/v1beta/files?upload_id=`), uploadUrl);
+      assert.equal(file.sizeBytes, '12');
+      assert.deepEqual(files.requests.map((r) => r.headers['x-goog-upload-command']), ['start', 'upload, finalize']);
+      assert.equal(own.upstream.requests.length, 0);
+      const chunk = await own.waitForEntry((e) => e.type === 'request' && e.route.includes('upload_id='));
+      assert.equal(chunk.upstream, 'files');
+      assert.deepEqual(chunk.body, { streamed: true, contentType: 'application/octet-stream', bytes: 12 });
+    } finally {
+      await own.close();
+      await files.close();
+      fs.rmSync(routesFile, { force: true });
+    }
+  });
+});
+
+describe('config', () => {
+  test('loadConfig reads the given env instead of process.env', () => {
+    const config = ctx.proxy.loadConfig({ API_BASE: ' http://upstream.test/// ', RETRY_MAX: '2', CACHE_ROUTES: 'generateContent, countTokens' });
+    assert.equal(config.API_BASE, 'http://upstream.test');
+    assert.equal(config.RETRY_MAX, 2);
+    assert.deepEqual(config.CACHE_ROUTES, ['generatecontent', 'counttokens']);
+    assert.equal(config.PORT, 5000);
+  });
+
+  test('apps built from different configs run side by side', async () => {
+    const other = await startProxy({ UPSTREAM_API_KEY: 'server-side-key' });
+    try {
+      await (await fetch(other.url + '/v1beta/models/side-by-side:generateContent', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(REQUEST_BODY),
+      })).text();
+      assert.equal(other.upstream.requests[0].headers['x-goog-api-key'], 'server-side-key');
+      assert.notEqual(other.logFile, ctx.logFile);
+
+      await (await post('/v1beta/models/side-by-side:generateContent')).text();
+      assert.equal(lastUpstreamRequest().headers['x-goog-api-key'], undefined);
+    } finally {
+      await other.close();
+    }
+  });
+});
+
+describe('timing and metrics', () => {
+  test('streamed responses record headers, first and last chunk, chunk count and bytes', async () => {
+    const route = '/v1beta/models/slow:streamGenerateContent?alt=sse';
+    const text = await (await post(route)).text();
+    const { response } = await exchangeFor(route);
+    const { timing } = response;
+    assert.ok(!Number.isNaN(Date.parse(timing.started_at)));
+    assert.equal(timing.chunks, 3);
+    assert.equal(timing.bytes, Buffer.byteLength(text));
+    assert.ok(timing.upstream_headers_ms <= timing.first_chunk_ms);
+    // Chunks are 150 ms apart
+    assert.ok(timing.last_chunk_ms - timing.first_chunk_ms >= 250, JSON.stringify(timing));
+    assert.ok(response.duration_ms >= timing.last_chunk_ms);
+  });
+
+  test('/metrics agrees with the timing of a streamed and a buffered response', async () => {
+    // A proxy of its own, so the series hold these two calls only; "slow" is priced so it gets its own label
+    const pricesFile = path.join(os.tmpdir(), `proxy-prices-${process.pid}.json`);
+    fs.writeFileSync(pricesFile, JSON.stringify({ slow: { input: 1, output: 1 } }));
+    const own = await startProxy({ PRICES_FILE: pricesFile });
+    try {
+      const call = (route) => fetch(own.url + route, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(REQUEST_BODY) }).then((r) => r.text());
+      const streamed = '/v1beta/models/slow:streamGenerateContent?alt=sse';
+      const buffered = '/v1beta/models/gemini-2.5-pro-preview-06-05:generateContent';
+      await call(streamed);
+      await call(buffered);
+      const timingOf = async (route) => (await own.waitForEntry((e) => e.type === 'response' && e.route === route)).timing;
+      const streamedTiming = await timingOf(streamed);
+      const bufferedTiming = await timingOf(buffered);
+
+      const resp = await fetch(own.url + '/metrics');
+      assert.match(resp.headers.get('content-type'), /^text\/plain/);
+      const samples = parseMetrics(await resp.text());
+      const sample = (name, labels) => samples.find((x) => x.name === name && Object.entries(labels).every(([k, v]) => x.labels[k] === v));
+
+      // Preview versions fold into their priced family
+      const stream = { route: '/v1beta/models/:model:streamGenerateContent', model: 'slow', status: '200' };
+      const buffer = { route: '/v1beta/models/:model:generateContent', model: 'gemini-2.5-pro', status: '200' };
+      for (const [labels, timing] of [[stream, streamedTiming], [buffer, bufferedTiming]]) {
+        assert.equal(sample('proxy_request_duration_seconds_count', labels).value, 1);
+        assert.equal(sample('proxy_upstream_latency_seconds_bucket', { ...labels, le: '+Inf' }).value, 1);
+        assert.equal(sample('proxy_upstream_latency_seconds_sum', labels).value, timing.upstream_headers_ms / 1000);
+        assert.equal(sample('proxy_time_to_first_chunk_seconds_sum', labels).value, timing.first_chunk_ms / 1000);
+        assert.equal(sample('proxy_response_bytes_total', labels).value, timing.bytes);
+        assert.equal(sample('proxy_response_chunks_total', labels).value, timing.chunks);
+      }
+      assert.ok(streamedTiming.chunks > 1);
+      assert.equal(sample('proxy_stream_duration_seconds_sum', stream).value, (streamedTiming.last_chunk_ms - streamedTiming.first_chunk_ms) / 1000);
+      // Every series carries one of the known labels
+      assert.deepEqual([...new Set(samples.map((x) => x.labels.model))].sort(), ['gemini-2.5-pro', 'slow']);
+    } finally {
+      await own.close();
+      fs.rmSync(pricesFile, { force: true });
+    }
+  });
+
+  test('models the proxy does not know share the "other" label', async () => {
+    for (const model of ['made-up-1', 'made-up-2']) {
+      await (await post(`/v1beta/models/${model}:generateContent`)).text();
+      await ctx.waitForEntry((e) => e.type === 'response' && e.model === model);
+    }
+    const samples = parseMetrics(await (await fetch(ctx.url + '/metrics')).text());
+    assert.ok(!samples.some((x) => String(x.labels.model).startsWith('made-up')));
+    const other = samples.find((x) => x.name === 'proxy_request_duration_seconds_count' && x.labels.model === 'other' && x.labels.route === '/v1beta/models/:model:generateContent' && x.labels.status === '200');
+    assert.ok(other.value >= 2);
+  });
+});
+
+// Prometheus text format -> [{ name, labels, value }], comments skipped
+function parseMetrics(text) {
+  return text.split('\n').filter((l) => l && !l.startsWith('#')).map((line) => {
+    const m = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+    assert.ok(m, `unparsable metrics line: ${line}`);
+    const labels = {};
+    for (const [, k, v] of (m[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) labels[k] = v.replace(/\\(.)/g, (_x, c) => (c === 'n' ? '\n' : c));
+    return { name: m[1], labels, value: Number(m[3]) };
+  });
+}
+
+describe('playground replay', () => {
+  const replay = (payload) => fetch(ctx.url + '/logs/replay', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  test('an edited request is resent upstream and logged with replayOf', async () => {
+    const route = '/v1beta/models/replay-me:streamGenerateContent?alt=sse&key=client-secret';
+    await (await post(route)).text();
+    const original = await ctx.waitForEntry((e) => e.type === 'request' && e.model === 'replay-me');
+
+    const edited = { ...original.body, generationConfig: { temperature: 0 } };
+    const resp = await replay({ id: original.id, body: edited });
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get('content-type'), /text\/event-stream/);
+    const newId = resp.headers.get('x-proxy-request-id');
+    assert.ok(newId && newId !== original.id);
+    assert.equal((await resp.text()).split(/\r?\n\r?\n/).filter((e) => e.startsWith('data:')).length, 3);
+
+    // The masked key is not resent
+    const seen = lastUpstreamRequest();
+    assert.equal(seen.url, '/v1beta/models/replay-me:streamGenerateContent?alt=sse');
+    assert.deepEqual(seen.body, edited);
+
+    const request = await ctx.waitForEntry((e) => e.type === 'request' && e.id === newId);
+    assert.equal(request.replayOf, original.id);
+    const response = await ctx.waitForEntry((e) => e.type === 'response' && e.id === newId);
+    assert.equal(response.content, 'Hello world');
+  });
+
+  test('unknown ids and non-path routes are refused', async () => {
+    assert.equal((await replay({ id: 'does-not-exist' })).status, 404);
+    const original = await ctx.waitForEntry((e) => e.type === 'request' && e.model === 'replay-me');
+    assert.equal((await replay({ id: original.id, route: '@evil.example/x' })).status, 400);
+  });
+});
+
+describe('cassette replay', () => {
+  test('a strict miss reports the diffJson changes from the closest recording', async () => {
+    // The log of a first proxy is the cassette of the second
+    const route = '/v1beta/models/recorded:generateContent';
+    await (await post(route)).text();
+    await exchangeFor(route);
+    const own = await startProxy({ REPLAY_CASSETTE: ctx.logFile, REPLAY_STRICT: 'true' });
+    try {
+      const asked = { ...REQUEST_BODY, contents: [{ role: 'user', parts: [{ text: 'Say goodbye' }] }], generationConfig: { temperature: 0 } };
+      const resp = await fetch(own.url + route, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(asked) });
+      assert.equal(resp.status, 500);
+      const report = await resp.json();
+      assert.equal(report.error.status, 'REPLAY_NO_MATCH');
+      assert.deepEqual(report.diff, [
+        { path: 'contents[0].parts[0].text', op: 'replace', from: 'Say hello', to: 'Say goodbye' },
+        { path: 'generationConfig', op: 'add', to: { temperature: 0 } },
+      ]);
+      assert.equal(own.upstream.requests.length, 0);
+    } finally {
+      await own.close();
+    }
+  });
+});
@@ -0,0 +1,222 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+const { startFakeUpstream, geminiResponse } = require('./support/fake-upstream');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+// Short backoff so retries do not slow the suite down
+const RETRY_ENV = { RETRY_MAX: '2', RETRY_BASE_MS: '10', RETRY_MAX_DELAY_MS: '1000' };
+
+function post(ctx, route, headers = {}) {
+  return fetch(ctx.url + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(REQUEST_BODY),
+  });
+}
+
+// The response entry of the exchange sent to `route`, with the attempt entries of the same request
+async function exchangeFor(ctx, route) {
+  const request = await ctx.waitForEntry((e) => e.type === 'request' && e.route === route);
+  const response = await ctx.waitForEntry((e) => e.type === 'response' && e.id === request.id);
+  const attempts = ctx.readEntries().filter((e) => e.type === 'attempt' && e.id === request.id);
+  return { request, response, attempts };
+}
+
+describe('retries', () => {
+  test('a 429 and a 503 are retried on the same target and logged as attempts of the request', async () => {
+    const ctx = await startProxy(RETRY_ENV);
+    try {
+      ctx.upstream.failNext(1, 429);
+      ctx.upstream.failNext(1, 503);
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      assert.deepEqual(await resp.json(), geminiResponse('gemini-2.5-flash'));
+      assert.equal(ctx.upstream.requests.length, 3);
+
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.attempts, 3);
+      assert.equal(response.fallback, undefined);
+      assert.deepEqual(attempts.map((a) => [a.attempt, a.status, a.next]), [[1, 429, 'retry'], [2, 503, 'retry']]);
+      for (const a of attempts) {
+        assert.equal(a.target, ctx.upstream.url + route);
+        assert.equal(a.upstream, 'default');
+        assert.equal(a.error, `Scripted ${a.status} failure.`);
+        assert.ok(a.retryInMs >= 10 && a.retryInMs <= 1000, String(a.retryInMs));
+      }
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('the last failure is forwarded once the retries are used up', async () => {
+    const ctx = await startProxy({ ...RETRY_ENV, RETRY_MAX: '1' });
+    try {
+      ctx.upstream.failNext(2, 500);
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 500);
+      assert.equal((await resp.json()).error.status, 'INTERNAL');
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.status, 500);
+      assert.equal(response.attempts, 2);
+      assert.equal(attempts.length, 1);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('streaming routes fail over but are not retried on the same target', async () => {
+    const fallback = await startFakeUpstream();
+    const ctx = await startProxy({ ...RETRY_ENV, FALLBACK_API_BASES: fallback.url });
+    try {
+      ctx.upstream.failNext(1, 503);
+      const route = '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      await resp.text();
+      assert.equal(ctx.upstream.requests.length, 1);
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.fallback, 'base#1');
+      assert.deepEqual(attempts.map((a) => a.next), ['failover']);
+    } finally {
+      await ctx.close();
+      await fallback.close();
+    }
+  });
+});
+
+describe('failover', () => {
+  test('a Retry-After above the cap moves on to the next base instead of waiting', async () => {
+    const fallback = await startFakeUpstream();
+    const ctx = await startProxy({ ...RETRY_ENV, FALLBACK_API_BASES: fallback.url });
+    try {
+      ctx.upstream.failNext(1, 429, { 'retry-after': '30' });
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent';
+      const startedAt = Date.now();
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      await resp.json();
+      assert.ok(Date.now() - startedAt < 5000);
+      assert.equal(ctx.upstream.requests.length, 1);
+      assert.equal(fallback.requests.length, 1);
+      assert.equal(fallback.requests[0].url, route);
+
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.fallback, 'base#1');
+      assert.equal(response.attempts, 2);
+      assert.equal(attempts.length, 1);
+      assert.equal(attempts[0].status, 429);
+      assert.equal(attempts[0].next, 'failover');
+      assert.equal(attempts[0].retryInMs, undefined);
+    } finally {
+      await ctx.close();
+      await fallback.close();
+    }
+  });
+
+  test('fallback keys replace the client key on API_BASE once the bases are exhausted', async () => {
+    const fallback = await startFakeUpstream();
+    const ctx = await startProxy({ FALLBACK_API_BASES: fallback.url, FALLBACK_API_KEYS: 'spare-1,spare-2' });
+    try {
+      ctx.upstream.failNext(2, 503);
+      fallback.failNext(1, 503);
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent?key=client-key';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      await resp.json();
+
+      const keys = (fake) => fake.requests.map((r) => new URL(r.url, 'http://fake').searchParams.get('key'));
+      assert.deepEqual(keys(ctx.upstream), ['client-key', 'spare-1', 'spare-2']);
+      assert.deepEqual(keys(fallback), ['client-key']);
+
+      const logged = '/v1beta/models/gemini-2.5-flash:generateContent?key=[REDACTED]';
+      const { response, attempts } = await exchangeFor(ctx, logged);
+      assert.equal(response.fallback, 'key#2');
+      assert.equal(response.attempts, 4);
+      assert.deepEqual(attempts.map((a) => [a.attempt, a.fallback, a.next]), [
+        [1, undefined, 'failover'],
+        [2, 'base#1', 'failover'],
+        [3, 'key#1', 'failover'],
+      ]);
+      // The spare keys are redacted like the client's
+      assert.ok(!JSON.stringify(ctx.readEntries()).includes('spare-'));
+    } finally {
+      await ctx.close();
+      await fallback.close();
+    }
+  });
+
+  test('a key sent as a header is replaced by x-goog-api-key', async () => {
+    const ctx = await startProxy({ FALLBACK_API_KEYS: 'spare-1' });
+    try {
+      ctx.upstream.failNext(1, 503);
+      const resp = await post(ctx, '/v1beta/models/gemini-2.5-flash:generateContent', { authorization: 'Bearer client-token' });
+      assert.equal(resp.status, 200);
+      await resp.json();
+      const [first, second] = ctx.upstream.requests;
+      assert.equal(first.headers.authorization, 'Bearer client-token');
+      assert.equal(second.headers.authorization, undefined);
+      assert.equal(second.headers['x-goog-api-key'], 'spare-1');
+    } finally {
+      await ctx.close();
+    }
+  });
+});
+
+describe('timeouts', () => {
+  test('an upstream that does not answer in time is retried', async () => {
+    const ctx = await startProxy({ ...RETRY_ENV, UPSTREAM_TIMEOUT_MS: '300' });
+    try {
+      ctx.upstream.failNext(1, 'silent');
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      await resp.json();
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.attempts, 2);
+      assert.equal(attempts.length, 1);
+      assert.equal(attempts[0].code, 'UPSTREAM_TIMEOUT');
+      assert.equal(attempts[0].next, 'retry');
+      assert.equal(ctx.upstream.requests[0].aborted, true);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('the last timeout becomes a 504 logged with the timeout outcome', async () => {
+    const ctx = await startProxy({ ...RETRY_ENV, RETRY_MAX: '1', UPSTREAM_TIMEOUT_MS: '300' });
+    try {
+      ctx.upstream.failNext(2, 'silent');
+      const route = '/v1beta/models/gemini-2.5-flash:generateContent';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 504);
+      await resp.text();
+      const { response, attempts } = await exchangeFor(ctx, route);
+      assert.equal(response.status, 504);
+      assert.equal(response.outcome, 'timeout');
+      assert.equal(response.code, 'UPSTREAM_TIMEOUT');
+      assert.equal(attempts.length, 1);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test('the timeout covers a stream until its headers only, so a slow stream still completes', async () => {
+    // Three chunks 150 ms apart take longer than the timeout (a stalled buffered body is in proxy.test.js)
+    const ctx = await startProxy({ UPSTREAM_TIMEOUT_MS: '250' });
+    try {
+      const route = '/v1beta/models/slow:streamGenerateContent?alt=sse';
+      const resp = await post(ctx, route);
+      assert.equal(resp.status, 200);
+      await resp.text();
+      const { response } = await exchangeFor(ctx, route);
+      assert.equal(response.outcome, 'completed');
+      assert.equal(response.timing.chunks, 3);
+      assert.ok(response.duration_ms > 250, String(response.duration_ms));
+    } finally {
+      await ctx.close();
+    }
+  });
+});
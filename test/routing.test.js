@@ -0,0 +1,105 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+const { startFakeUpstream } = require('./support/fake-upstream');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+
+let ctx;
+let local;
+let vertex;
+let configDir;
+
+before(async () => {
+  local = await startFakeUpstream();
+  vertex = await startFakeUpstream();
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-routes-'));
+  const routesFile = path.join(configDir, 'routes.json');
+  fs.writeFileSync(routesFile, JSON.stringify({
+    routes: [
+      {
+        name: 'vertex',
+        model: 'gemini-2.5-pro*',
+        base: vertex.url,
+        rewrite: [{ from: '^/v1beta/models/', to: '/v1/projects/${GCP_PROJECT}/models/' }],
+        headers: { Authorization: 'Bearer ${VERTEX_TOKEN}' },
+        removeHeaders: ['x-goog-api-key'],
+        query: { project: '${GCP_PROJECT}' },
+      },
+      { name: 'local', prefix: '/local', stripPrefix: true, base: local.url },
+    ],
+  }));
+  ctx = await startProxy({ ROUTES_FILE: routesFile, GCP_PROJECT: 'demo-project', VERTEX_TOKEN: 'vertex-secret' });
+});
+
+after(async () => {
+  await ctx.close();
+  await local.close();
+  await vertex.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function post(route, headers = {}) {
+  return fetch(ctx.url + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(REQUEST_BODY),
+  });
+}
+
+const last = (fake) => fake.requests[fake.requests.length - 1];
+
+describe('routing table', () => {
+  test('a prefix route with stripPrefix forwards the rest of the path to its base', async () => {
+    const resp = await post('/local/v1beta/models/gemma:generateContent?alt=json');
+    assert.equal(resp.status, 200);
+    await resp.json();
+    assert.equal(last(local).url, '/v1beta/models/gemma:generateContent?alt=json');
+    const request = await ctx.waitForEntry((e) => e.type === 'request' && e.route.startsWith('/local/'));
+    assert.equal(request.upstream, 'local');
+    assert.equal(request.target, `${local.url}/v1beta/models/gemma:generateContent?alt=json`);
+    const response = await ctx.waitForEntry((e) => e.type === 'response' && e.id === request.id);
+    assert.equal(response.upstream, 'local');
+  });
+
+  test('a model route rewrites the path and injects ${NAME} values from the config', async () => {
+    const resp = await post('/v1beta/models/gemini-2.5-pro:generateContent', { 'x-goog-api-key': 'client-key', 'x-custom': 'kept' });
+    assert.equal(resp.status, 200);
+    await resp.json();
+    const seen = last(vertex);
+    assert.equal(seen.url, '/v1/projects/demo-project/models/gemini-2.5-pro:generateContent?project=demo-project');
+    assert.equal(seen.headers.authorization, 'Bearer vertex-secret');
+    assert.equal(seen.headers['x-goog-api-key'], undefined);
+    assert.equal(seen.headers['x-custom'], 'kept');
+  });
+
+  test('a client Authorization header is replaced by the configured one', async () => {
+    await (await post('/v1beta/models/gemini-2.5-pro-preview:generateContent', { authorization: 'Bearer client-token' })).json();
+    assert.equal(last(vertex).headers.authorization, 'Bearer vertex-secret');
+  });
+
+  test('requests matching no route go to API_BASE unchanged', async () => {
+    await (await post('/v1beta/models/gemini-2.5-flash:generateContent', { 'x-goog-api-key': 'client-key' })).json();
+    const seen = last(ctx.upstream);
+    assert.equal(seen.url, '/v1beta/models/gemini-2.5-flash:generateContent');
+    assert.equal(seen.headers['x-goog-api-key'], 'client-key');
+    const request = await ctx.waitForEntry((e) => e.type === 'request' && e.model === 'gemini-2.5-flash');
+    assert.equal(request.upstream, 'default');
+  });
+
+  test('injected credentials stay out of the log and /health lists header names only', async () => {
+    const log = fs.readFileSync(ctx.logFile, 'utf8');
+    assert.ok(!log.includes('vertex-secret'));
+
+    const health = await (await fetch(ctx.url + '/health')).json();
+    assert.deepEqual(health.upstreams.map((u) => u.name), ['vertex', 'local', 'default']);
+    const [vertexRoute, localRoute] = health.upstreams;
+    assert.deepEqual(vertexRoute.headers, ['Authorization']);
+    assert.deepEqual(vertexRoute.query, ['project']);
+    assert.equal(localRoute.stripPrefix, true);
+    assert.ok(!JSON.stringify(health).includes('vertex-secret'));
+  });
+});
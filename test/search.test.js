@@ -0,0 +1,53 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startProxy } = require('./support/proxy');
+
+const ROUTE = '/v1beta/models/m:generateContent';
+const request = (id, second) => ({ ts: `2025-06-02T10:00:0${second}.000Z`, id, type: 'request', route: ROUTE, body: { contents: [{ role: 'user', parts: [{ text: `question ${id}` }] }] } });
+const response = (id, second) => ({ ts: `2025-06-02T10:00:0${second}.000Z`, id, type: 'response', route: ROUTE, status: 200, content: `answer ${id}` });
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy();
+  // Overlapping exchanges: r1 answers after r2, so a page ending on r2 has seen r1's response only
+  const lines = [request('r1', 1), request('r2', 2), response('r2', 3), response('r1', 4), request('r3', 5), response('r3', 6)];
+  fs.writeFileSync(ctx.logFile, lines.map((e) => JSON.stringify(e)).join('\n') + '\n');
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+async function search(params) {
+  const resp = await fetch(`${ctx.url}/logs/search?${new URLSearchParams(params)}`);
+  assert.equal(resp.status, 200);
+  return resp.json();
+}
+
+describe('log search paging', () => {
+  test('pages hold at most `limit` exchanges, each with both halves, and none twice', async () => {
+    const pages = [];
+    let cursor = '';
+    do {
+      const page = await search({ q: 'question', limit: 1, ...(cursor ? { cursor } : {}) });
+      pages.push(page);
+      cursor = page.nextCursor;
+    } while (cursor && pages.length < 10);
+
+    const ids = pages.flatMap((p) => p.matchedIds);
+    assert.deepEqual(ids, ['r3', 'r2', 'r1']);
+    for (const page of pages) {
+      assert.ok(page.matchedIds.length <= 1);
+      assert.deepEqual(page.entries.map((e) => e.type), page.matchedIds.length ? ['request', 'response'] : []);
+    }
+    const r1 = pages.find((p) => p.matchedIds[0] === 'r1');
+    assert.equal(r1.entries[1].content, 'answer r1');
+  });
+
+  test('a cursor that is not an object is refused', async () => {
+    const resp = await fetch(`${ctx.url}/logs/search?cursor=${Buffer.from('null').toString('base64url')}`);
+    assert.equal(resp.status, 400);
+  });
+});
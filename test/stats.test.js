@@ -0,0 +1,97 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./support/proxy');
+
+const route = (model) => `/v1beta/models/${model}:generateContent`;
+const request = (id, session) => ({ ts: '2025-06-01T09:59:00.000Z', id, type: 'request', route: route('m'), session });
+const response = (id, ts, model, usage, extra = {}) => ({ ts, id, type: 'response', route: route(model), model, status: 200, usage, ...extra });
+
+// USD per 1M tokens
+const PRICES = { priced: { input: 2, output: 10, cachedInput: 0.5 } };
+const ENTRIES = [
+  request('r1', 's1'),
+  // 800 uncached + 200 cached prompt tokens, 100 output + 50 thoughts: 0.0016 + 0.0001 + 0.0015
+  response('r1', '2025-06-01T10:00:00.000Z', 'priced', { promptTokenCount: 1000, cachedContentTokenCount: 200, candidatesTokenCount: 100, thoughtsTokenCount: 50, totalTokenCount: 1350 }, { conversationId: 'c-1', client: 'alice' }),
+  request('r2', 's1'),
+  // Priced by its longest configured prefix: 0.001 + 0.001
+  response('r2', '2025-06-02T09:00:00.000Z', 'priced-v2', { promptTokenCount: 500, candidatesTokenCount: 100, totalTokenCount: 600 }, { conversationId: 'c-1', client: 'bob' }),
+  response('r3', '2025-06-02T10:00:00.000Z', 'mystery', { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }),
+  // A cache hit never reached the upstream: 0.002 + 0.001 saved
+  response('r4', '2025-06-02T11:00:00.000Z', 'priced', { promptTokenCount: 1000, candidatesTokenCount: 100, totalTokenCount: 1100 }, { cache: 'HIT' }),
+];
+
+let ctx;
+let pricesFile;
+
+before(async () => {
+  pricesFile = path.join(os.tmpdir(), `proxy-stats-prices-${process.pid}.json`);
+  fs.writeFileSync(pricesFile, JSON.stringify(PRICES));
+  ctx = await startProxy({ PRICES_FILE: pricesFile });
+  fs.writeFileSync(ctx.logFile, ENTRIES.map((e) => JSON.stringify(e)).join('\n') + '\n');
+});
+
+after(async () => {
+  await ctx.close();
+  fs.rmSync(pricesFile, { force: true });
+});
+
+async function stats(params = {}) {
+  const resp = await fetch(`${ctx.url}/stats?${new URLSearchParams(params)}`);
+  assert.equal(resp.status, 200);
+  return resp.json();
+}
+
+const assertCost = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+describe('/stats', () => {
+  test('totals add up tokens and the cost of every priced response', async () => {
+    const body = await stats();
+    assert.equal(body.currency, 'USD');
+    assert.deepEqual(body.prices.priced, PRICES.priced);
+    const { totals } = body;
+    assert.equal(totals.requests, 3);
+    assert.equal(totals.promptTokens, 1510);
+    assert.equal(totals.cachedTokens, 200);
+    assert.equal(totals.candidatesTokens, 205);
+    assert.equal(totals.thoughtsTokens, 50);
+    assert.equal(totals.totalTokens, 1965);
+    assertCost(totals.cost, 0.0032 + 0.002);
+    assert.equal(totals.unpricedRequests, 1);
+    assert.equal(totals.firstTs, '2025-06-01T10:00:00.000Z');
+    assert.equal(totals.lastTs, '2025-06-02T10:00:00.000Z');
+  });
+
+  test('usage is broken down by model, route, day, session, conversation and client', async () => {
+    const body = await stats();
+    assert.deepEqual(Object.keys(body.byModel).sort(), ['mystery', 'priced', 'priced-v2']);
+    assertCost(body.byModel.priced.cost, 0.0032);
+    assertCost(body.byModel['priced-v2'].cost, 0.002);
+    assert.equal(body.byModel.mystery.unpricedRequests, 1);
+    assert.equal(body.byRoute[route('priced')].requests, 1);
+    assertCost(body.byDay['2025-06-01'].cost, 0.0032);
+    assertCost(body.byDay['2025-06-02'].cost, 0.002);
+    assert.equal(body.byDay['2025-06-02'].requests, 2);
+    assert.equal(body.bySession.s1.requests, 2);
+    assert.equal(body.bySession.unknown.requests, 1);
+    assert.equal(body.byConversation['c-1'].requests, 2);
+    assertCost(body.byConversation['c-1'].cost, 0.0052);
+    assert.deepEqual(Object.keys(body.byClient).sort(), ['alice', 'bob']);
+  });
+
+  test('cache hits are left out of the usage and counted as savings', async () => {
+    const { cache, byModel } = await stats();
+    assert.equal(cache.hits, 1);
+    assertCost(cache.savedCost, 0.003);
+    assert.equal(byModel.priced.requests, 1);
+  });
+
+  test('from and to keep the responses logged in between', async () => {
+    const { totals, byDay } = await stats({ from: '2025-06-02T00:00:00.000Z', to: '2025-06-02T09:30:00.000Z' });
+    assert.equal(totals.requests, 1);
+    assertCost(totals.cost, 0.002);
+    assert.deepEqual(Object.keys(byDay), ['2025-06-02']);
+  });
+});
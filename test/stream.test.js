@@ -0,0 +1,101 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./support/proxy');
+
+const REQUEST_BODY = { contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }] };
+const API_KEY = `AIza${'x'.repeat(35)}`;
+
+let ctx;
+
+before(async () => {
+  ctx = await startProxy();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+// Subscribes to /logs/stream; `until(predicate)` resolves to the events received once one matches
+async function subscribe(query = '') {
+  const controller = new AbortController();
+  const resp = await fetch(`${ctx.url}/logs/stream${query}`, { signal: controller.signal });
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get('content-type'), /^text\/event-stream/);
+  const reader = resp.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let pending = '';
+  const until = async (predicate, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!events.some(predicate)) {
+      if (Date.now() > deadline) throw new Error(`Event not received in time; got ${JSON.stringify(events.map((e) => e.event))}`);
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Feed ended');
+      pending += value;
+      const blocks = pending.split('\n\n');
+      pending = blocks.pop();
+      for (const block of blocks) {
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        if (event) events.push({ event, data: JSON.parse(data) });
+      }
+    }
+    return events;
+  };
+  return { until, close: () => controller.abort() };
+}
+
+function post(route) {
+  return fetch(ctx.url + route, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(REQUEST_BODY) });
+}
+
+describe('live feed', () => {
+  test('chunks of a running stream are pushed before its response entry', async () => {
+    const feed = await subscribe();
+    try {
+      const resp = await post('/v1beta/models/slow:streamGenerateContent?alt=sse');
+      const id = resp.headers.get('x-proxy-request-id');
+      const events = await feed.until((e) => e.event === 'entry' && e.data.type === 'response' && e.data.id === id);
+      await resp.text();
+
+      const mine = events.filter((e) => e.data.id === id);
+      assert.deepEqual(mine.map((e) => (e.event === 'entry' ? e.data.type : e.event)), ['request', 'chunk', 'chunk', 'chunk', 'response']);
+      const chunks = mine.filter((e) => e.event === 'chunk').map((e) => e.data);
+      assert.deepEqual(chunks.map((c) => c.seq), [1, 2, 3]);
+      assert.equal(chunks[0].route, '/v1beta/models/slow:streamGenerateContent?alt=sse');
+      assert.match(chunks[1].text, /"text":"Hello "/);
+      assert.equal(mine[mine.length - 1].data.content, 'Hello world');
+    } finally {
+      feed.close();
+    }
+  });
+
+  test('?chunks=false sends entries only', async () => {
+    const feed = await subscribe('?chunks=false');
+    try {
+      const resp = await post('/v1beta/models/slow:streamGenerateContent?alt=sse');
+      const id = resp.headers.get('x-proxy-request-id');
+      const events = await feed.until((e) => e.event === 'entry' && e.data.type === 'response' && e.data.id === id);
+      await resp.text();
+      assert.ok(events.every((e) => e.event === 'entry'));
+    } finally {
+      feed.close();
+    }
+  });
+
+  test('entries are pushed redacted, as they are written', async () => {
+    const feed = await subscribe();
+    try {
+      const resp = await post(`/v1beta/models/gemini-2.5-flash:generateContent?key=${API_KEY}`);
+      const id = resp.headers.get('x-proxy-request-id');
+      await resp.text();
+      const events = await feed.until((e) => e.event === 'entry' && e.data.type === 'response' && e.data.id === id);
+      const request = events.find((e) => e.event === 'entry' && e.data.type === 'request' && e.data.id === id).data;
+      assert.equal(request.route, '/v1beta/models/gemini-2.5-flash:generateContent?key=[REDACTED]');
+      assert.ok(!JSON.stringify(events).includes(API_KEY));
+      // What the feed pushed is what the log holds
+      assert.deepEqual(ctx.readEntries().find((e) => e.type === 'request' && e.id === id), request);
+    } finally {
+      feed.close();
+    }
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Local stand-in for the Gemini API (and an OpenAI-style chat endpoint) used by the tests.
+ *
+ * The model name in the path picks the behaviour:
+ *   - any model: generateContent answers JSON, streamGenerateContent a JSON array
+ *     (or SSE with ?alt=sse), built from geminiChunks()
+ *   - "error": 400 INVALID_ARGUMENT, "overloaded": 503 UNAVAILABLE
+ *   - "slow": the stream waits SLOW_CHUNK_MS between chunks
+ *   - "broken": the stream drops the connection after two chunks
+ *   - "stalled": generateContent sends its headers and half the body, then nothing more
+ * POST /v1/chat/completions streams OpenAI SSE with tool_calls split across chunks.
+ * POST .../files runs a resumable upload: `x-goog-upload-command: start` hands out an
+ * upload URL on this server, `upload, finalize` to that URL answers the stored file.
+ * Every request is recorded in `requests` ({ method, url, headers, body }); `aborted`
+ * is set when the proxy closes the connection before the answer is complete.
+ * `failNext(count, status, headers)` makes the next `count` model calls fail with that
+ * status (a Gemini error body), or, for status 'silent', never answer at all.
+ */
+
+const http = require('http');
+
+const SLOW_CHUNK_MS = 150;
+
+const USAGE = { promptTokenCount: 12, candidatesTokenCount: 7, thoughtsTokenCount: 3, totalTokenCount: 22 };
+// Sent with the function call, as Gemini 2.5 does; clients must hand it back with the call
+const THOUGHT_SIGNATURE = 'c2lnbmVkLWNhbGw=';
+
+function geminiChunks(model) {
+  return [
+    { candidates: [{ content: { role: 'model', parts: [{ text: 'thinking it over', thought: true }] }, index: 0 }], modelVersion: model },
+    { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello ' }] }, index: 0 }], modelVersion: model },
+    {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: 'world' }, { functionCall: { name: 'read_file', args: { path: 'a.txt' } }, thoughtSignature: THOUGHT_SIGNATURE }] },
+        finishReason: 'STOP',
+        index: 0,
+      }],
+      usageMetadata: USAGE,
+      modelVersion: model,
+    },
+  ];
+}
+
+// The non-streaming answer is the chunks merged the way the API returns them
+function geminiResponse(model) {
+  const parts = geminiChunks(model).flatMap((c) => c.candidates[0].content.parts);
+  return {
+    candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP', index: 0 }],
+    usageMetadata: USAGE,
+    modelVersion: model,
+  };
+}
+
+const OPENAI_CHUNKS = [
+  { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '' } }] } }] },
+  { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] } }] },
+  { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"a.txt"}' } }, { index: 1, id: 'call_2', type: 'function', function: { name: 'ls', arguments: '{}' } }] } }] },
+  { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+];
+
+const ERRORS = {
+  error: { status: 400, body: { error: { code: 400, message: 'Invalid JSON payload received.', status: 'INVALID_ARGUMENT' } } },
+  overloaded: { status: 503, body: { error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } } },
+};
+
+const STATUS_NAMES = { 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 502: 'UNAVAILABLE', 503: 'UNAVAILABLE', 504: 'DEADLINE_EXCEEDED' };
+
+let uploadCount = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function writeChunks(res, pieces, delayMs, breakAfter) {
+  for (const [i, piece] of pieces.entries()) {
+    if (delayMs) await sleep(delayMs);
+    if (res.destroyed) return;
+    // Give the chunks already written time to reach the proxy before dropping the socket
+    if (i === breakAfter) return sleep(SLOW_CHUNK_MS).then(() => res.destroy());
+    res.write(piece);
+  }
+  res.end();
+}
+
+async function handle(req, res, body, failures) {
+  const url = new URL(req.url, 'http://fake');
+  if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    return writeChunks(res, [...OPENAI_CHUNKS.map((c) => `data: ${JSON.stringify(c)}\n\n`), 'data: [DONE]\n\n']);
+  }
+  if (req.method === 'POST' && url.pathname.endsWith('/files')) {
+    const command = String(req.headers['x-goog-upload-command'] || '');
+    if (command === 'start') {
+      uploadCount += 1;
+      res.writeHead(200, {
+        'x-goog-upload-url': `http://${req.headers.host}/upload/v1beta/files?upload_id=fake-${uploadCount}&upload_protocol=resumable`,
+        'x-goog-upload-status': 'active',
+      });
+      return res.end();
+    }
+    if (command.includes('finalize') && url.searchParams.get('upload_id')) {
+      const size = Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body || ''));
+      res.writeHead(200, { 'content-type': 'application/json', 'x-goog-upload-status': 'final' });
+      return res.end(JSON.stringify({ file: { name: `files/${url.searchParams.get('upload_id')}`, sizeBytes: String(size) } }));
+    }
+  }
+  const m = url.pathname.match(/\/models\/([^/:]+):(\w+)$/);
+  if (!m) {
+    res.writeHead(404, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ error: { code: 404, message: `No route for ${url.pathname}`, status: 'NOT_FOUND' } }));
+  }
+  const [, model, method] = m;
+  const failure = failures.shift();
+  if (failure && failure.status === 'silent') return;
+  if (failure) {
+    res.writeHead(failure.status, { 'content-type': 'application/json', ...failure.headers });
+    const status = STATUS_NAMES[failure.status] || 'UNKNOWN';
+    return res.end(JSON.stringify({ error: { code: failure.status, message: `Scripted ${failure.status} failure.`, status } }));
+  }
+  if (ERRORS[model]) {
+    res.writeHead(ERRORS[model].status, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify(ERRORS[model].body));
+  }
+  const delayMs = model === 'slow' ? SLOW_CHUNK_MS : 0;
+  const breakAfter = model === 'broken' ? 2 : undefined;
+  if (method === 'streamGenerateContent' && url.searchParams.get('alt') === 'sse') {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    return writeChunks(res, geminiChunks(model).map((c) => `data: ${JSON.stringify(c)}\r\n\r\n`), delayMs, breakAfter);
+  }
+  if (method === 'streamGenerateContent') {
+    // The array arrives in pieces that do not line up with its elements
+    const text = JSON.stringify(geminiChunks(model), null, 2);
+    const third = Math.ceil(text.length / 3);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return writeChunks(res, [text.slice(0, third), text.slice(third, 2 * third), text.slice(2 * third)], delayMs, breakAfter);
+  }
+  if (model === 'stalled') {
+    const text = JSON.stringify(geminiResponse(model));
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.write(text.slice(0, text.length / 2));
+  }
+  res.writeHead(200, { 'content-type': 'application/json', 'x-upstream-extra': 'kept', 'content-encoding': 'identity' });
+  return res.end(JSON.stringify(method === 'countTokens' ? { totalTokens: 12 } : geminiResponse(model)));
+}
+
+// Resolves to { url, requests, failNext(), close() } once listening on a free port
+function startFakeUpstream() {
+  const requests = [];
+  const failures = [];
+  const server = http.createServer((req, res) => {
+    const buffers = [];
+    req.on('data', (b) => buffers.push(b));
+    req.on('end', () => {
+      const text = Buffer.concat(buffers).toString('utf8');
+      let body = text;
+      try { body = text ? JSON.parse(text) : undefined; } catch (_) {}
+      const record = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(record);
+      res.on('close', () => {
+        if (!res.writableFinished) record.aborted = true;
+      });
+      handle(req, res, body, failures).catch((err) => res.destroy(err));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        failNext: (count, status, headers = {}) => {
+          for (let i = 0; i < count; i++) failures.push({ status, headers });
+        },
+        close: () => new Promise((done) => { server.closeAllConnections(); server.close(done); }),
+      });
+    });
+  });
+}
+
+module.exports = { startFakeUpstream, geminiChunks, geminiResponse, OPENAI_CHUNKS, USAGE, THOUGHT_SIGNATURE };
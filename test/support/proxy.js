@@ -0,0 +1,82 @@
+/**
+ * Builds an app from server.js against a fake upstream, with a throwaway log
+ * directory and no optional config files unless `env` names some, and serves
+ * it on a free port. Each call gets its own app, so differently configured
+ * proxies can run side by side.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeUpstream } = require('./fake-upstream');
+
+const proxy = require('../../server');
+
+// Resolves to { url, upstream, proxy, app, logFile, readEntries, waitForEntry, close() }
+async function startProxy(env = {}) {
+  const upstream = await startFakeUpstream();
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+  const missing = path.join(logDir, 'missing.json');
+  // A config of its own: neither process.env nor a developer's .env leaks in
+  const config = proxy.loadConfig({
+    API_BASE: upstream.url,
+    LOG_DIR: logDir,
+    ROUTE_PREFIX: '',
+    AUTH_FILE: missing,
+    ROUTES_FILE: missing,
+    LIMITS_FILE: missing,
+    REDACT_RULES_FILE: missing,
+    PLUGINS: '',
+    CACHE: 'false',
+    OPENAI_COMPAT: 'false',
+    RECORD: 'false',
+    REPLAY_CASSETTE: '',
+    RETRY_MAX: '0',
+    FALLBACK_API_BASES: '',
+    FALLBACK_API_KEYS: '',
+    UPSTREAM_API_KEY: '',
+    // The proxy narrates every request on the console; errors still show
+    LOG_LEVEL: 'error',
+    ...env,
+  });
+  const app = proxy.createApp(config);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const logFile = app.locals.logFile;
+
+  const readEntries = () => {
+    if (!fs.existsSync(logFile)) return [];
+    return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map((l) => JSON.parse(l));
+  };
+  // Log lines are appended asynchronously, sometimes after the client has its response
+  const waitForEntry = async (predicate, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = readEntries().find(predicate);
+      if (found) return found;
+      if (Date.now() > deadline) throw new Error('Log entry not written in time');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    upstream,
+    proxy,
+    app,
+    logFile,
+    readEntries,
+    waitForEntry,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      // Pending log writes and cache stores land before their directory goes away
+      await app.close();
+      await upstream.close();
+      fs.rmSync(logDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startProxy };